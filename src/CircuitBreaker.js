@@ -0,0 +1,101 @@
+/**
+ * @typedef {"closed"|"open"|"halfOpen"} CircuitState
+ */
+
+/**
+ * Stops requests after repeated failures, lets a single trial request through after `resetTimeout` milliseconds and closes again if it succeeds
+ * @class
+ */
+export default class CircuitBreaker {
+
+  /**
+   * @type {CircuitState}
+   */
+  state = "closed"
+
+  /**
+   * Consecutive failures
+   * @type {number}
+   */
+  failures = 0
+
+  /**
+   * @type {number}
+   */
+  openedAt = null
+
+  /**
+   * `true` while the trial request of the half open state is running
+   * @type {boolean}
+   */
+  isTrying = false
+
+  /**
+   * @constructor
+   * @param {number} threshold Number of consecutive failures that open the circuit
+   * @param {number} resetTimeout Milliseconds until an open circuit lets a trial request through
+   * @param {(state: CircuitState, previousState: CircuitState) => void} [handleStateChange]
+   */
+  constructor(threshold, resetTimeout, handleStateChange) {
+    /**
+     * @type {number}
+     */
+    this.threshold = threshold
+    /**
+     * @type {number}
+     */
+    this.resetTimeout = resetTimeout
+    /**
+     * @type {((state: CircuitState, previousState: CircuitState) => void)|undefined}
+     */
+    this.handleStateChange = handleStateChange
+  }
+
+  /**
+   * @return {boolean} `false` if the request should not be sent
+   */
+  allowRequest() {
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false
+      }
+      this.setState("halfOpen")
+    }
+    if (this.state === "halfOpen") {
+      if (this.isTrying) {
+        return false
+      }
+      this.isTrying = true
+    }
+    return true
+  }
+
+  recordSuccess() {
+    this.failures = 0
+    this.isTrying = false
+    if (this.state !== "closed") {
+      this.setState("closed")
+    }
+  }
+
+  recordFailure() {
+    this.failures++
+    this.isTrying = false
+    if (this.state === "halfOpen" || this.failures >= this.threshold) {
+      this.openedAt = Date.now()
+      if (this.state !== "open") {
+        this.setState("open")
+      }
+    }
+  }
+
+  /**
+   * @param {CircuitState} state
+   */
+  setState(state) {
+    const previousState = this.state
+    this.state = state
+    this.handleStateChange?.(state, previousState)
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Limits how many jobs can run at the same time, waiting jobs are started in order
+ * @class
+ */
+export default class ConcurrencyLimiter {
+
+  /**
+   * @type {number}
+   */
+  active = 0
+
+  /**
+   * @type {Function[]}
+   */
+  queue = []
+
+  /**
+   * @constructor
+   * @param {number} limit
+   */
+  constructor(limit) {
+    /**
+     * @type {number}
+     */
+    this.limit = limit
+  }
+
+  /**
+   * Waits for a free slot, `release` has to be called once the job is done
+   * @return {Promise<void>}
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++
+      return
+    }
+    await new Promise(resolve => {
+      this.queue.push(resolve)
+    })
+  }
+
+  release() {
+    const next = this.queue.shift()
+    if (next) {
+      next()
+      return
+    }
+    this.active--
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * @typedef {Object} CronField
+ * @prop {number} min
+ * @prop {number} max
+ * @prop {string[]} [names] Lower case names of the values starting at `min`
+ */
+
+/**
+ * @type {Object<string, string>}
+ */
+const aliases = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+}
+
+/**
+ * @type {CronField[]}
+ */
+const fields = [
+  {
+    min: 0,
+    max: 59,
+  },
+  {
+    min: 0,
+    max: 23,
+  },
+  {
+    min: 1,
+    max: 31,
+  },
+  {
+    min: 1,
+    max: 12,
+    names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+  },
+  {
+    min: 0,
+    max: 7,
+    names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  },
+]
+
+/**
+ * Searching for the next date stops after this many milliseconds (8 years, enough for every February 29 combination)
+ * @type {number}
+ */
+const searchLimit = 8 * 366 * 24 * 60 * 60 * 1000
+
+/**
+ * @param {string} text
+ * @param {CronField} field
+ * @return {number}
+ */
+const parseValue = (text, field) => {
+  if (/^\d+$/.test(text)) {
+    return Number(text)
+  }
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1
+  return index === -1 ? Number.NaN : field.min + index
+}
+
+/**
+ * @param {string} text
+ * @param {CronField} field
+ * @return {Set<number>|null} `null` if the text is invalid
+ */
+const parseField = (text, field) => {
+  const values = new Set
+  for (const part of text.split(",")) {
+    const match = /^(?<range>\*|\w+(?:-\w+)?)(?:\/(?<step>\d+))?$/.exec(part)
+    if (!match) {
+      return null
+    }
+    const {range, step} = match.groups
+    let start = field.min
+    let end = field.max
+    if (range !== "*") {
+      const [startText, endText] = range.split("-")
+      start = parseValue(startText, field)
+      if (endText !== undefined) {
+        end = parseValue(endText, field)
+      } else if (step === undefined) {
+        end = start
+      }
+    }
+    const stepSize = step === undefined ? 1 : Number(step)
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return null
+    }
+    if (start < field.min || end > field.max || start > end || stepSize < 1) {
+      return null
+    }
+    for (let value = start; value <= end; value += stepSize) {
+      values.add(value)
+    }
+  }
+  return values
+}
+
+/**
+ * Cron expression with the fields minute, hour, day of month, month and day of week, evaluated in local time
+ * @class
+ */
+export default class CronSchedule {
+
+  /**
+   * @constructor
+   * @param {string} expression Like `*\/15 * * * *`, `0 3 * * mon-fri` or `@daily`
+   */
+  constructor(expression) {
+    /**
+     * @type {string}
+     */
+    this.expression = expression
+    const fieldTexts = (aliases[expression.trim().toLowerCase()] || expression).trim().split(/\s+/)
+    if (fieldTexts.length !== fields.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${fields.length} fields, got ${fieldTexts.length}`)
+    }
+    const valueSets = fieldTexts.map((text, index) => {
+      const values = parseField(text, fields[index])
+      if (!values) {
+        throw new Error(`Invalid cron expression "${expression}": could not parse field "${text}"`)
+      }
+      return values
+    })
+    if (valueSets[4].delete(7)) {
+      valueSets[4].add(0)
+    }
+    /**
+     * @type {Set<number>}
+     */
+    this.minutes = valueSets[0]
+    /**
+     * @type {Set<number>}
+     */
+    this.hours = valueSets[1]
+    /**
+     * @type {Set<number>}
+     */
+    this.daysOfMonth = valueSets[2]
+    /**
+     * @type {Set<number>}
+     */
+    this.months = valueSets[3]
+    /**
+     * @type {Set<number>}
+     */
+    this.daysOfWeek = valueSets[4]
+    /**
+     * If both day fields are restricted, a day matches if any of them matches, like in classic cron
+     * @type {boolean}
+     */
+    this.restrictsDayOfMonth = !fieldTexts[2].startsWith("*")
+    /**
+     * @type {boolean}
+     */
+    this.restrictsDayOfWeek = !fieldTexts[4].startsWith("*")
+  }
+
+  /**
+   * @param {Date} date
+   * @return {boolean}
+   */
+  matchesDay(date) {
+    const matchesDayOfMonth = this.daysOfMonth.has(date.getDate())
+    const matchesDayOfWeek = this.daysOfWeek.has(date.getDay())
+    if (this.restrictsDayOfMonth && this.restrictsDayOfWeek) {
+      return matchesDayOfMonth || matchesDayOfWeek
+    }
+    return matchesDayOfMonth && matchesDayOfWeek
+  }
+
+  /**
+   * @param {Date} [after=new Date]
+   * @return {Date|null} First matching minute after `after`, `null` if the expression never matches (like `0 0 31 2 *`)
+   */
+  getNextDate(after = new Date) {
+    const date = new Date(after.getTime())
+    date.setSeconds(0, 0)
+    date.setMinutes(date.getMinutes() + 1)
+    const limit = after.getTime() + searchLimit
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1)
+        date.setHours(0, 0, 0, 0)
+        continue
+      }
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1)
+        date.setHours(0, 0, 0, 0)
+        continue
+      }
+      if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0)
+        continue
+      }
+      if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0)
+        continue
+      }
+      return date
+    }
+    return null
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * koa-session store that keeps sessions in a Sequelize model
+ * @class
+ */
+export default class DatabaseSessionStore {
+
+  /**
+   * @type {string}
+   */
+  modelName = "JaidCoreSession"
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   */
+  constructor(core) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+  }
+
+  /**
+   * @param {typeof import("sequelize")} Sequelize
+   * @return {import("./").SequelizeDefinition}
+   */
+  getModelDefinition(Sequelize) {
+    return {
+      default: class extends Sequelize.Model {},
+      schema: {
+        key: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false,
+        },
+        data: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      },
+      indexes: [
+        {
+          fields: ["expiresAt"],
+        },
+      ],
+    }
+  }
+
+  /**
+   * @return {typeof import("sequelize").Model}
+   */
+  getModel() {
+    return this.core.database.models[this.modelName]
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise<Object|undefined>}
+   */
+  async get(key) {
+    const session = await this.getModel().findByPk(key)
+    if (!session) {
+      return
+    }
+    if (session.expiresAt <= new Date) {
+      await session.destroy()
+      return
+    }
+    return session.data
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} data
+   * @param {number|"session"} maxAge
+   * @return {Promise<void>}
+   */
+  async set(key, data, maxAge) {
+    await this.getModel().upsert({
+      key,
+      data,
+      expiresAt: new Date(Date.now() + (typeof maxAge === "number" ? maxAge : 86_400_000)),
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise<void>}
+   */
+  async destroy(key) {
+    await this.getModel().destroy({
+      where: {key},
+    })
+  }
+
+  /**
+   * @return {Promise<number>} Number of removed sessions
+   */
+  async cleanup() {
+    const {Op} = this.core.Sequelize
+    return this.getModel().destroy({
+      where: {
+        expiresAt: {
+          [Op.lte]: new Date,
+        },
+      },
+    })
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * @template Payload
+ * @typedef {(payload: Payload) => *} EventListener
+ */
+
+/**
+ * Async event emitter for communication between plugins, event names and payloads can be typed with an event map like `EventBus<{userCreated: User}>`
+ * @template {Object<string, *>} EventMap
+ * @class
+ */
+export default class EventBus {
+
+  /**
+   * @type {Map<string, Map<Function, boolean>>}
+   */
+  listeners = new Map
+
+  /**
+   * @constructor
+   * @param {(eventName: string, payload: *) => Promise<void>} [forwardEvent] Gets called for every emitted event in addition to the listeners
+   */
+  constructor(forwardEvent) {
+    /**
+     * @type {((eventName: string, payload: *) => Promise<void>)|undefined}
+     */
+    this.forwardEvent = forwardEvent
+  }
+
+  /**
+   * @template {keyof EventMap & string} EventName
+   * @param {EventName} eventName
+   * @param {EventListener<EventMap[EventName]>} listener
+   * @return {() => void} Function that removes the listener
+   */
+  on(eventName, listener) {
+    return this.addListener(eventName, listener, false)
+  }
+
+  /**
+   * @template {keyof EventMap & string} EventName
+   * @param {EventName} eventName
+   * @param {EventListener<EventMap[EventName]>} listener
+   * @return {() => void} Function that removes the listener
+   */
+  once(eventName, listener) {
+    return this.addListener(eventName, listener, true)
+  }
+
+  /**
+   * @param {string} eventName
+   * @param {Function} listener
+   * @param {boolean} once
+   * @return {() => void}
+   */
+  addListener(eventName, listener, once) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Map)
+    }
+    this.listeners.get(eventName).set(listener, once)
+    return () => this.off(eventName, listener)
+  }
+
+  /**
+   * @template {keyof EventMap & string} EventName
+   * @param {EventName} eventName
+   * @param {EventListener<EventMap[EventName]>} listener
+   */
+  off(eventName, listener) {
+    const eventListeners = this.listeners.get(eventName)
+    if (!eventListeners) {
+      return
+    }
+    eventListeners.delete(listener)
+    if (!eventListeners.size) {
+      this.listeners.delete(eventName)
+    }
+  }
+
+  /**
+   * Calls all listeners of the event in parallel and waits for them
+   * @template {keyof EventMap & string} EventName
+   * @param {EventName} eventName
+   * @param {EventMap[EventName]} [payload]
+   * @return {Promise<void>}
+   */
+  async emit(eventName, payload) {
+    const jobs = []
+    const eventListeners = this.listeners.get(eventName)
+    if (eventListeners) {
+      for (const [listener, once] of eventListeners) {
+        if (once) {
+          this.off(eventName, listener)
+        }
+        jobs.push(listener(payload))
+      }
+    }
+    if (this.forwardEvent) {
+      jobs.push(this.forwardEvent(eventName, payload))
+    }
+    await Promise.all(jobs)
+  }
+
+  /**
+   * @template {keyof EventMap & string} EventName
+   * @param {EventName} eventName
+   * @param {number} [timeout] Milliseconds after which the returned promise gets rejected
+   * @return {Promise<EventMap[EventName]>} Payload of the next emitted event
+   */
+  waitFor(eventName, timeout) {
+    return new Promise((resolve, reject) => {
+      let timeoutId
+      const removeListener = this.once(eventName, payload => {
+        clearTimeout(timeoutId)
+        resolve(payload)
+      })
+      if (timeout) {
+        timeoutId = setTimeout(() => {
+          removeListener()
+          reject(new Error(`Event ${eventName} has not been emitted within ${timeout}ms`))
+        }, timeout)
+      }
+    })
+  }
+
+}
\ No newline at end of file
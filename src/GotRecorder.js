@@ -0,0 +1,220 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import path from "node:path"
+import {Readable} from "node:stream"
+
+/**
+ * @typedef {"method"|"url"|"body"} FixtureMatchField
+ */
+
+/**
+ * @typedef {Object} RecordedResponse
+ * @prop {number} statusCode
+ * @prop {string} statusMessage
+ * @prop {Object<string, string|string[]>} headers
+ * @prop {string} body
+ * @prop {"utf8"|"base64"} bodyEncoding
+ */
+
+/**
+ * @typedef {Object} Fixture
+ * @prop {{method: string, url: string, headers: Object<string, string|string[]>, body: string|null}} request
+ * @prop {RecordedResponse[]} responses Replayed in order, the last one is repeated
+ */
+
+/**
+ * @param {Object<string, string|string[]>} headers
+ * @param {string[]} redactedHeaders Lower case header names
+ * @return {Object<string, string|string[]>}
+ */
+const redactHeaders = (headers, redactedHeaders) => {
+  const result = {}
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = redactedHeaders.includes(name.toLowerCase()) ? "[redacted]" : value
+  }
+  return result
+}
+
+/**
+ * Writes got request/response pairs to fixture files and serves them back without network access
+ * @class
+ */
+export default class GotRecorder {
+
+  /**
+   * Fixtures that have been recorded by this instance by file, existing files get overwritten on the first write
+   * @type {Map<string, Fixture>}
+   */
+  recordedFixtures = new Map
+
+  /**
+   * Chain of file writes, so that concurrent responses do not write the same file at the same time
+   * @type {Promise<void>}
+   */
+  writePromise = Promise.resolve()
+
+  /**
+   * Number of replayed responses by fixture file
+   * @type {Map<string, number>}
+   */
+  replayCounts = new Map
+
+  /**
+   * @constructor
+   * @param {"record"|"replay"} mode
+   * @param {Object} options
+   * @param {string} options.folder
+   * @param {FixtureMatchField[]} options.match
+   * @param {string[]} options.redactHeaders
+   * @param {(value: string) => string} options.redact Replaces secret values
+   */
+  constructor(mode, {folder, match, redactHeaders: redactedHeaders, redact}) {
+    /**
+     * @type {"record"|"replay"}
+     */
+    this.mode = mode
+    /**
+     * @type {string}
+     */
+    this.folder = folder
+    /**
+     * @type {FixtureMatchField[]}
+     */
+    this.match = match
+    /**
+     * @type {string[]}
+     */
+    this.redactedHeaders = redactedHeaders.map(name => name.toLowerCase())
+    /**
+     * @type {(value: string) => string}
+     */
+    this.redact = redact
+  }
+
+  /**
+   * @param {import("got").Options} options
+   * @return {{method: string, url: string, body: string|null}}
+   */
+  getRequestSummary(options) {
+    let body = null
+    if (typeof options.body === "string") {
+      body = options.body
+    } else if (Buffer.isBuffer(options.body)) {
+      body = options.body.toString("base64")
+    }
+    return {
+      method: options.method,
+      url: this.redact(options.url.toString()),
+      body: body === null ? null : this.redact(body),
+    }
+  }
+
+  /**
+   * @param {import("got").Options} options
+   * @return {string}
+   */
+  getFixtureFile(options) {
+    const summary = this.getRequestSummary(options)
+    const matchedValues = this.match.map(field => summary[field])
+    const hash = crypto.createHash("sha1").update(JSON.stringify(matchedValues)).digest("hex").slice(0, 12)
+    const host = options.url.host.replace(/[^\w.-]/g, "_")
+    return path.join(this.folder, `${options.method.toLowerCase()}-${host}-${hash}.json`)
+  }
+
+  /**
+   * @param {import("got").Options} options
+   * @return {Promise<Readable>} Response-like stream that got treats like a real response
+   */
+  async replay(options) {
+    const file = this.getFixtureFile(options)
+    let fixture
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, "utf8"))
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error
+      }
+      const missingError = new Error(`No recorded response for ${options.method} ${this.redact(options.url.toString())}, expected fixture file ${file}`)
+      missingError.code = "ENOFIXTURE"
+      throw missingError
+    }
+    const index = this.replayCounts.get(file) ?? 0
+    this.replayCounts.set(file, index + 1)
+    const recordedResponse = fixture.responses[index] ?? fixture.responses[fixture.responses.length - 1]
+    const body = Buffer.from(recordedResponse.body, recordedResponse.bodyEncoding)
+    return Object.assign(Readable.from([body]), {
+      statusCode: recordedResponse.statusCode,
+      statusMessage: recordedResponse.statusMessage,
+      headers: {
+        ...recordedResponse.headers,
+        "content-length": String(body.length),
+      },
+      url: options.url.toString(),
+      isReplayed: true,
+    })
+  }
+
+  /**
+   * @param {import("got").Response} response
+   * @return {Promise<void>}
+   */
+  async record(response) {
+    const {options} = response.request
+    const file = this.getFixtureFile(options)
+    const rawBody = response.rawBody || Buffer.alloc(0)
+    const text = rawBody.toString("utf8")
+    const isText = Buffer.from(text, "utf8").equals(rawBody)
+    const headers = redactHeaders(response.headers, this.redactedHeaders)
+    delete headers["content-encoding"]
+    delete headers["content-length"]
+    delete headers["transfer-encoding"]
+    /**
+     * @type {RecordedResponse}
+     */
+    const recordedResponse = {
+      statusCode: response.statusCode,
+      statusMessage: response.statusMessage,
+      headers,
+      body: isText ? this.redact(text) : rawBody.toString("base64"),
+      bodyEncoding: isText ? "utf8" : "base64",
+    }
+    const fixture = this.recordedFixtures.get(file)
+    if (fixture) {
+      fixture.responses.push(recordedResponse)
+    } else {
+      this.recordedFixtures.set(file, {
+        request: {
+          ...this.getRequestSummary(options),
+          headers: redactHeaders(options.headers, this.redactedHeaders),
+        },
+        responses: [recordedResponse],
+      })
+    }
+    const writePromise = this.writePromise.then(async () => {
+      await fs.promises.mkdir(this.folder, {recursive: true})
+      await fs.promises.writeFile(file, JSON.stringify(this.recordedFixtures.get(file), null, 2))
+    })
+    this.writePromise = writePromise.catch(() => {})
+    await writePromise
+  }
+
+  /**
+   * @return {Partial<import("got").Hooks>}
+   */
+  getHooks() {
+    if (this.mode === "replay") {
+      return {
+        beforeRequest: [options => this.replay(options)],
+      }
+    }
+    return {
+      afterResponse: [
+        async response => {
+          await this.record(response)
+          return response
+        },
+      ],
+    }
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Error that gets turned into a problem response with the given status if it is thrown in a Koa middleware or route handler
+ * @class
+ */
+export default class HttpError extends Error {
+
+  /**
+   * @constructor
+   * @param {number} status
+   * @param {string} [message] Shown to clients as `detail` if `status` is lower than 500
+   * @param {Object} [extensions] Additional members of the problem response, like `type`
+   */
+  constructor(status, message, extensions) {
+    super(message)
+    this.name = "HttpError"
+    /**
+     * @type {number}
+     */
+    this.status = status
+    /**
+     * @type {boolean}
+     */
+    this.expose = status < 500
+    /**
+     * @type {Object}
+     */
+    this.extensions = extensions
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+import CircuitBreaker from "./CircuitBreaker.js"
+import ConcurrencyLimiter from "./ConcurrencyLimiter.js"
+import TokenBucket from "./TokenBucket.js"
+
+/**
+ * @typedef {Object} HttpPolicy
+ * @prop {number} [retries=2] Maximum number of retries for failed idempotent requests
+ * @prop {number} [retryDelay=1000] Milliseconds before the first retry, doubled for every following retry
+ * @prop {number} [maxRetryDelay=30000]
+ * @prop {number|null} [concurrency=null] Maximum number of simultaneous requests
+ * @prop {number|null} [rateLimit=null] Maximum number of requests per `rateLimitInterval`
+ * @prop {number} [rateLimitInterval=1000] Milliseconds
+ * @prop {number|null} [breakerThreshold=5] Number of consecutive failures that open the circuit breaker, `null` disables the circuit breaker
+ * @prop {number} [breakerResetTimeout=30000] Milliseconds until an open circuit breaker lets a trial request through
+ */
+
+/**
+ * @typedef {Object} HttpGuard
+ * @prop {HttpPolicy} policy
+ * @prop {ConcurrencyLimiter|null} limiter
+ * @prop {TokenBucket|null} bucket
+ * @prop {CircuitBreaker|null} breaker
+ */
+
+/**
+ * @typedef {Object} HttpAttempt
+ * @prop {HttpGuard} guard
+ * @prop {boolean} isFinished
+ */
+
+/**
+ * @type {HttpPolicy}
+ */
+const defaultPolicy = {
+  retries: 2,
+  retryDelay: 1000,
+  maxRetryDelay: 30_000,
+  concurrency: null,
+  rateLimit: null,
+  rateLimitInterval: 1000,
+  breakerThreshold: 5,
+  breakerResetTimeout: 30_000,
+}
+
+/**
+ * Applies retry, concurrency, rate limit and circuit breaker policies to got requests, separately for every host and every named client
+ * @class
+ */
+export default class HttpPolicies {
+
+  /**
+   * State of every host or client that has been requested, keyed by host or client name
+   * @type {Map<string, HttpGuard>}
+   */
+  guards = new Map
+
+  /**
+   * Policies of named clients
+   * @type {Object<string, HttpPolicy>}
+   */
+  clientPolicies = {}
+
+  /**
+   * Running requests by their got options
+   * @type {WeakMap<Object, HttpAttempt>}
+   */
+  attempts = new WeakMap
+
+  /**
+   * @constructor
+   * @param {() => Object<string, HttpPolicy>} getConfigPolicies Returns policies from the config, keyed by host or client name, `*` applies to all requests
+   * @param {(key: string, state: import("./CircuitBreaker.js").CircuitState, previousState: import("./CircuitBreaker.js").CircuitState) => void} handleStateChange
+   */
+  constructor(getConfigPolicies, handleStateChange) {
+    /**
+     * @type {() => Object<string, HttpPolicy>}
+     */
+    this.getConfigPolicies = getConfigPolicies
+    /**
+     * @type {(key: string, state: import("./CircuitBreaker.js").CircuitState, previousState: import("./CircuitBreaker.js").CircuitState) => void}
+     */
+    this.handleStateChange = handleStateChange
+  }
+
+  /**
+   * @param {import("got").Options} options
+   * @return {string} Client name if the request has been made with a named client, host otherwise
+   */
+  getKey(options) {
+    return options.context?.httpClient ?? options.url.host
+  }
+
+  /**
+   * @param {string} key
+   * @return {HttpPolicy}
+   */
+  getPolicy(key) {
+    const configPolicies = this.getConfigPolicies() || {}
+    return {
+      ...defaultPolicy,
+      ...configPolicies["*"],
+      ...this.clientPolicies[key],
+      ...configPolicies[key],
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @return {HttpGuard}
+   */
+  getGuard(key) {
+    if (!this.guards.has(key)) {
+      const policy = this.getPolicy(key)
+      this.guards.set(key, {
+        policy,
+        limiter: policy.concurrency ? new ConcurrencyLimiter(policy.concurrency) : null,
+        bucket: policy.rateLimit ? new TokenBucket(policy.rateLimit, policy.rateLimitInterval) : null,
+        breaker: policy.breakerThreshold ? new CircuitBreaker(policy.breakerThreshold, policy.breakerResetTimeout, (state, previousState) => this.handleStateChange(key, state, previousState)) : null,
+      })
+    }
+    return this.guards.get(key)
+  }
+
+  /**
+   * @param {string} clientName
+   * @param {HttpPolicy} [policy]
+   */
+  setClientPolicy(clientName, policy) {
+    this.clientPolicies[clientName] = policy
+    this.guards.delete(clientName)
+  }
+
+  /**
+   * Drops all limiter and circuit breaker states, needed after the policies have changed
+   */
+  reset() {
+    this.guards.clear()
+  }
+
+  /**
+   * @return {Object<string, import("./CircuitBreaker.js").CircuitState>}
+   */
+  getCircuitStates() {
+    const states = {}
+    for (const [key, guard] of this.guards) {
+      if (guard.breaker) {
+        states[key] = guard.breaker.state
+      }
+    }
+    return states
+  }
+
+  /**
+   * @param {import("got").Options} options
+   * @return {Promise<void>}
+   */
+  async startAttempt(options) {
+    const key = this.getKey(options)
+    const guard = this.getGuard(key)
+    if (guard.breaker && !guard.breaker.allowRequest()) {
+      const error = new Error(`Circuit breaker of ${key} is open`)
+      error.code = "ECIRCUITOPEN"
+      throw error
+    }
+    await guard.bucket?.take()
+    await guard.limiter?.acquire()
+    this.attempts.set(options, {
+      guard,
+      isFinished: false,
+    })
+  }
+
+  /**
+   * Frees the concurrency slot of a request and reports its outcome to the circuit breaker, only the first call per request has an effect
+   * @param {import("got").Options} options
+   * @param {boolean} failed
+   */
+  finishAttempt(options, failed) {
+    const attempt = this.attempts.get(options)
+    if (!attempt || attempt.isFinished) {
+      return
+    }
+    attempt.isFinished = true
+    this.attempts.delete(options)
+    attempt.guard.limiter?.release()
+    if (failed) {
+      attempt.guard.breaker?.recordFailure()
+    } else {
+      attempt.guard.breaker?.recordSuccess()
+    }
+  }
+
+  /**
+   * @return {Partial<import("got").RetryOptions>}
+   */
+  getRetryOptions() {
+    return {
+      limit: Number.POSITIVE_INFINITY,
+      calculateDelay: ({attemptCount, error, retryAfter, computedValue}) => {
+        this.finishAttempt(error.options, true)
+        if (!computedValue) {
+          return 0
+        }
+        const {policy} = this.getGuard(this.getKey(error.options))
+        if (attemptCount > policy.retries) {
+          return 0
+        }
+        if (retryAfter) {
+          return computedValue
+        }
+        const delay = policy.retryDelay * 2 ** (attemptCount - 1)
+        return delay > policy.maxRetryDelay ? policy.maxRetryDelay : delay
+      },
+    }
+  }
+
+  /**
+   * @return {Partial<import("got").Hooks>}
+   */
+  getHooks() {
+    return {
+      beforeRequest: [options => this.startAttempt(options)],
+      afterResponse: [
+        response => {
+          this.finishAttempt(response.request.options, response.statusCode >= 500)
+          return response
+        },
+      ],
+      beforeError: [
+        error => {
+          if (error.options) {
+            this.finishAttempt(error.options, true)
+          }
+          return error
+        },
+      ],
+    }
+  }
+
+}
\ No newline at end of file
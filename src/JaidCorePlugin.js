@@ -18,4 +18,34 @@ export default class JaidCorePlugin {
    */
   logger = null
 
+  /**
+   * Ids of plugins whose lifecycle hooks have to finish before the hooks of this plugin are called
+   * @type {string[]}
+   */
+  dependencies = []
+
+  /**
+   * Like `dependencies`, but missing plugins are ignored
+   * @type {string[]}
+   */
+  optionalDependencies = []
+
+  /**
+   * If `false`, a failing or timed out hook of this plugin only removes this plugin instead of aborting
+   * @type {boolean}
+   */
+  critical = true
+
+  /**
+   * Milliseconds after which a hook call of this plugin counts as failed, can also be an object with hook names as keys, overrides the core option `hookTimeout`
+   * @type {number|Object<string, number>|null}
+   */
+  hookTimeout = null
+
+  /**
+   * Path that gets prepended to all routes returned by `collectRoutes`
+   * @type {string}
+   */
+  routePrefix = ""
+
 }
\ No newline at end of file
@@ -0,0 +1,333 @@
+import readableMs from "readable-ms"
+
+import zahl from "./lib/esm/zahl.js"
+
+/**
+ * @typedef {"pending"|"running"|"dead"} QueuedJobStatus
+ */
+
+/**
+ * @typedef {Object} EnqueueOptions
+ * @prop {number} [delay] Milliseconds before the job is run
+ * @prop {Date} [runAt] Overrides `delay`
+ * @prop {number} [maxAttempts] Overrides `maxAttempts` of the job definition
+ */
+
+/**
+ * Jobs that are persisted in the core database until they succeed, failed jobs are retried with backoff and moved to the dead letters after their last attempt
+ * @class
+ */
+export default class JobQueue {
+
+  /**
+   * @type {string}
+   */
+  modelName = "JaidCoreJob"
+
+  /**
+   * @type {NodeJS.Timeout}
+   */
+  pollInterval = null
+
+  /**
+   * Set while a poll is running, polls never overlap
+   * @type {Promise<void>|null}
+   */
+  pollPromise = null
+
+  /**
+   * Running jobs including the database updates after them
+   * @type {Set<Promise<void>>}
+   */
+  executions = new Set
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   * @param {import("./JobScheduler.js").default} scheduler Knows and runs the job definitions
+   */
+  constructor(core, scheduler) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+    /**
+     * @type {import("./JobScheduler.js").default}
+     */
+    this.scheduler = scheduler
+  }
+
+  /**
+   * @param {typeof import("sequelize")} Sequelize
+   * @return {import("./").SequelizeDefinition}
+   */
+  getModelDefinition(Sequelize) {
+    return {
+      default: class extends Sequelize.Model {},
+      schema: {
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        payload: Sequelize.JSON,
+        status: {
+          type: Sequelize.STRING(16),
+          allowNull: false,
+          defaultValue: "pending",
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        maxAttempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        runAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        lockedAt: Sequelize.DATE,
+        lastError: Sequelize.TEXT,
+      },
+      indexes: [
+        {
+          fields: ["status", "runAt"],
+        },
+      ],
+    }
+  }
+
+  /**
+   * @return {typeof import("sequelize").Model}
+   */
+  getModel() {
+    return this.core.database.models[this.modelName]
+  }
+
+  /**
+   * @param {string} name Job name including the plugin id, like `myPlugin.sendMail`
+   * @param {*} [payload] Has to be JSON serializable
+   * @param {EnqueueOptions} [options]
+   * @return {Promise<number>} Id of the queued job
+   */
+  async enqueue(name, payload, options = {}) {
+    const job = this.scheduler.getJob(name)
+    if (!job) {
+      throw new Error(`Can not enqueue unknown job ${name}`)
+    }
+    const row = await this.getModel().create({
+      name,
+      payload: payload ?? null,
+      maxAttempts: options.maxAttempts ?? job.definition.maxAttempts ?? 5,
+      runAt: options.runAt ?? new Date(Date.now() + (options.delay ?? 0)),
+    })
+    this.core.logger.debug("Enqueued job %s #%s", name, row.id)
+    if (this.pollInterval && row.runAt <= new Date) {
+      this.poll()
+    }
+    return row.id
+  }
+
+  /**
+   * Requeues jobs that have been running for longer than `lockTimeout` (their process probably died) and starts polling
+   * @param {number} pollInterval
+   * @param {number} lockTimeout
+   * @return {Promise<void>}
+   */
+  async start(pollInterval, lockTimeout) {
+    const {Op} = this.core.Sequelize
+    const [count] = await this.getModel().update({
+      status: "pending",
+      lockedAt: null,
+    }, {
+      where: {
+        status: "running",
+        lockedAt: {
+          [Op.lt]: new Date(Date.now() - lockTimeout),
+        },
+      },
+    })
+    if (count) {
+      this.core.logger.warn("Requeued %s that did not finish", zahl(count, "interrupted job"))
+    }
+    this.pollInterval = setInterval(() => this.poll(), pollInterval)
+    this.poll()
+  }
+
+  /**
+   * Stops polling, use `waitForExecutions` to wait for running jobs
+   * @return {Promise<void>} Resolves once the current poll has finished
+   */
+  async stop() {
+    clearInterval(this.pollInterval)
+    this.pollInterval = null
+    await this.pollPromise
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async waitForExecutions() {
+    await Promise.allSettled(this.executions)
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  poll() {
+    if (!this.pollPromise) {
+      this.pollPromise = this.claimDueJobs().catch(error => {
+        this.core.logger.error("Could not poll job queue: %s", error)
+      }).finally(() => {
+        this.pollPromise = null
+      })
+    }
+    return this.pollPromise
+  }
+
+  /**
+   * Starts as many due jobs as the concurrency limits of their definitions allow
+   * @return {Promise<void>}
+   */
+  async claimDueJobs() {
+    const {Op} = this.core.Sequelize
+    const model = this.getModel()
+    for (const name of this.scheduler.jobs.keys()) {
+      const freeSlots = this.scheduler.getFreeSlots(name)
+      if (!freeSlots || !this.pollInterval) {
+        continue
+      }
+      const rows = await model.findAll({
+        where: {
+          name,
+          status: "pending",
+          runAt: {
+            [Op.lte]: new Date,
+          },
+        },
+        order: [["runAt", "ASC"], ["id", "ASC"]],
+        limit: freeSlots,
+      })
+      for (const row of rows) {
+        const [claimedCount] = await model.update({
+          status: "running",
+          lockedAt: new Date,
+          attempts: row.attempts + 1,
+        }, {
+          where: {
+            id: row.id,
+            status: "pending",
+          },
+        })
+        if (!claimedCount) {
+          continue
+        }
+        const execution = this.execute(row, row.attempts + 1)
+        this.executions.add(execution)
+        execution.finally(() => {
+          this.executions.delete(execution)
+        }).catch(() => {})
+      }
+    }
+  }
+
+  /**
+   * @param {import("sequelize").Model} row
+   * @param {number} attempt
+   * @return {Promise<void>}
+   */
+  async execute(row, attempt) {
+    const model = this.getModel()
+    try {
+      await this.scheduler.run(row.name, row.payload, {
+        attempt,
+        trigger: "queue",
+        id: row.id,
+      })
+    } catch (error) {
+      try {
+        await this.handleFailure(row, attempt, error)
+      } catch (updateError) {
+        this.core.logger.error("Could not update failed job %s #%s: %s", row.name, row.id, updateError)
+      }
+      return
+    }
+    try {
+      await model.destroy({
+        where: {id: row.id},
+      })
+    } catch (error) {
+      this.core.logger.error("Could not remove finished job %s #%s: %s", row.name, row.id, error)
+    }
+  }
+
+  /**
+   * @param {import("sequelize").Model} row
+   * @param {number} attempt
+   * @param {Error} error
+   * @return {Promise<void>}
+   */
+  async handleFailure(row, attempt, error) {
+    const lastError = String(error?.stack || error)
+    const where = {id: row.id}
+    if (attempt >= row.maxAttempts) {
+      await this.getModel().update({
+        lastError,
+        status: "dead",
+        lockedAt: null,
+      }, {where})
+      this.core.logger.error("Moved job %s #%s to the dead letters after %s", row.name, row.id, zahl(attempt, "attempt"))
+      return
+    }
+    const definition = this.scheduler.getJob(row.name)?.definition || {}
+    const maxRetryDelay = definition.maxRetryDelay ?? 3_600_000
+    const retryDelay = (definition.retryDelay ?? 10_000) * 2 ** (attempt - 1)
+    const delay = retryDelay > maxRetryDelay ? maxRetryDelay : retryDelay
+    await this.getModel().update({
+      lastError,
+      status: "pending",
+      lockedAt: null,
+      runAt: new Date(Date.now() + delay),
+    }, {where})
+    this.core.logger.warn("Retrying job %s #%s in %s (attempt %s of %s failed)", row.name, row.id, readableMs(delay), attempt, row.maxAttempts)
+  }
+
+  /**
+   * @param {string} [name] Only returns dead jobs with this name
+   * @return {Promise<import("sequelize").Model[]>}
+   */
+  async getDeadJobs(name) {
+    return this.getModel().findAll({
+      where: name ? {
+        name,
+        status: "dead",
+      } : {status: "dead"},
+      order: [["id", "ASC"]],
+    })
+  }
+
+  /**
+   * Moves a job from the dead letters back to the queue with a fresh set of attempts
+   * @param {number} id
+   * @return {Promise<boolean>} `false` if there is no dead job with this id
+   */
+  async retryDeadJob(id) {
+    const [count] = await this.getModel().update({
+      status: "pending",
+      attempts: 0,
+      runAt: new Date,
+    }, {
+      where: {
+        id,
+        status: "dead",
+      },
+    })
+    if (count && this.pollInterval) {
+      this.poll()
+    }
+    return count > 0
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,316 @@
+import {isFunction} from "lodash-es"
+import readableMs from "readable-ms"
+
+import ConcurrencyLimiter from "./ConcurrencyLimiter.js"
+import CronSchedule from "./CronSchedule.js"
+
+/**
+ * @typedef {Object} JobRun
+ * @prop {string} name
+ * @prop {"cron"|"interval"|"queue"|"manual"} trigger
+ * @prop {number} attempt Starts at 1, only queued jobs get retried
+ * @prop {number|null} id Id of the queued job
+ */
+
+/**
+ * @typedef {Object} JobDefinition
+ * @prop {(payload: *, run: JobRun) => Promise<void>} handler
+ * @prop {string} [cron] Cron expression for scheduled runs, evaluated in local time
+ * @prop {number} [interval] Milliseconds between scheduled runs
+ * @prop {number} [concurrency=1] Maximum number of simultaneous runs, scheduled runs are skipped while all slots are taken
+ * @prop {number} [maxAttempts=5] Number of runs of a queued job before it is moved to the dead letters
+ * @prop {number} [retryDelay=10000] Milliseconds before a failed queued job is retried, doubled for every following attempt
+ * @prop {number} [maxRetryDelay=3600000]
+ */
+
+/**
+ * @typedef {Object} RegisteredJob
+ * @prop {string} pluginId
+ * @prop {string} name
+ * @prop {JobDefinition} definition
+ * @prop {CronSchedule|null} schedule
+ * @prop {ConcurrencyLimiter} limiter
+ * @prop {Set<Promise<void>>} runs
+ * @prop {NodeJS.Timeout|null} timeout
+ * @prop {number|null} nextRunTime
+ */
+
+/**
+ * Longest timer delay, later runs are approached in steps because `setTimeout` overflows after about 24 days
+ * @type {number}
+ */
+const maxTimerDelay = 86_400_000
+
+/**
+ * Runs jobs collected from plugins on cron expressions or intervals and executes queued jobs
+ * @class
+ */
+export default class JobScheduler {
+
+  /**
+   * @type {Map<string, RegisteredJob>}
+   */
+  jobs = new Map
+
+  /**
+   * `true` between `start` and `stop`, scheduled runs only happen in this time
+   * @type {boolean}
+   */
+  isStarted = false
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   */
+  constructor(core) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+  }
+
+  /**
+   * @param {string} pluginId
+   * @param {Object<string, JobDefinition|Function>} [jobMap] Functions are treated as jobs that only run when queued
+   * @return {string[]} Names of the added jobs
+   */
+  add(pluginId, jobMap) {
+    if (!jobMap) {
+      return []
+    }
+    const names = []
+    for (const [jobName, value] of Object.entries(jobMap)) {
+      const name = `${pluginId}.${jobName}`
+      const definition = isFunction(value) ? {handler: value} : value
+      if (!isFunction(definition?.handler)) {
+        throw new Error(`Job ${name} has no handler`)
+      }
+      if (definition.cron && definition.interval) {
+        throw new Error(`Job ${name} can not have both cron and interval`)
+      }
+      if (definition.interval !== undefined && !(definition.interval > 0)) {
+        throw new Error(`Job ${name} has invalid interval ${definition.interval}`)
+      }
+      if (this.jobs.has(name)) {
+        throw new Error(`Job ${name} has already been added`)
+      }
+      /**
+       * @type {RegisteredJob}
+       */
+      const job = {
+        pluginId,
+        name,
+        definition,
+        schedule: definition.cron ? new CronSchedule(definition.cron) : null,
+        limiter: new ConcurrencyLimiter(definition.concurrency ?? 1),
+        runs: new Set,
+        timeout: null,
+        nextRunTime: null,
+      }
+      this.jobs.set(name, job)
+      names.push(name)
+      if (this.isStarted) {
+        this.scheduleNext(job)
+      }
+    }
+    return names
+  }
+
+  /**
+   * Stops scheduling the jobs of a plugin, running jobs are not interrupted
+   * @param {string} pluginId
+   * @return {Promise<void>} Resolves once the running jobs of the plugin have finished
+   */
+  async removeByPlugin(pluginId) {
+    const runs = []
+    for (const job of this.jobs.values()) {
+      if (job.pluginId !== pluginId) {
+        continue
+      }
+      clearTimeout(job.timeout)
+      this.jobs.delete(job.name)
+      runs.push(...job.runs)
+    }
+    await Promise.allSettled(runs)
+  }
+
+  /**
+   * @param {string} name
+   * @return {RegisteredJob|undefined}
+   */
+  getJob(name) {
+    return this.jobs.get(name)
+  }
+
+  /**
+   * @param {string} name
+   * @return {number}
+   */
+  getFreeSlots(name) {
+    const job = this.jobs.get(name)
+    if (!job) {
+      return 0
+    }
+    const freeSlots = job.limiter.limit - job.limiter.active - job.limiter.queue.length
+    return freeSlots > 0 ? freeSlots : 0
+  }
+
+  /**
+   * @return {number}
+   */
+  getRunningCount() {
+    let count = 0
+    for (const job of this.jobs.values()) {
+      count += job.runs.size
+    }
+    return count
+  }
+
+  start() {
+    this.isStarted = true
+    for (const job of this.jobs.values()) {
+      this.scheduleNext(job)
+    }
+  }
+
+  /**
+   * Stops scheduling new runs, use `waitForRuns` to wait for running jobs
+   */
+  stop() {
+    this.isStarted = false
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timeout)
+      job.timeout = null
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async waitForRuns() {
+    const runs = []
+    for (const job of this.jobs.values()) {
+      runs.push(...job.runs)
+    }
+    await Promise.allSettled(runs)
+  }
+
+  /**
+   * @param {RegisteredJob} job
+   */
+  scheduleNext(job) {
+    if (job.schedule) {
+      const nextDate = job.schedule.getNextDate()
+      if (!nextDate) {
+        this.core.logger.warn("Cron expression %s of job %s never matches", job.schedule.expression, job.name)
+        return
+      }
+      job.nextRunTime = nextDate.getTime()
+    } else if (job.definition.interval) {
+      job.nextRunTime = Date.now() + job.definition.interval
+    } else {
+      return
+    }
+    this.setTimer(job)
+  }
+
+  /**
+   * @param {RegisteredJob} job
+   */
+  setTimer(job) {
+    const delay = job.nextRunTime - Date.now()
+    job.timeout = setTimeout(() => {
+      if (Date.now() < job.nextRunTime) {
+        this.setTimer(job)
+        return
+      }
+      this.trigger(job)
+      this.scheduleNext(job)
+    }, delay > maxTimerDelay ? maxTimerDelay : delay)
+  }
+
+  /**
+   * @param {RegisteredJob} job
+   */
+  trigger(job) {
+    if (!this.getFreeSlots(job.name)) {
+      this.core.logger.debug("Skipped scheduled run of job %s, %s still running", job.name, job.runs.size === 1 ? "previous run is" : `${job.runs.size} runs are`)
+      return
+    }
+    this.run(job.name, undefined, {
+      trigger: job.schedule ? "cron" : "interval",
+    }).catch(() => {})
+  }
+
+  /**
+   * Runs a job immediately, waiting for a free concurrency slot first
+   * @param {string} name
+   * @param {*} [payload]
+   * @param {Partial<JobRun>} [runInfo]
+   * @return {Promise<number>} Duration in milliseconds, rejects if the job fails
+   */
+  run(name, payload, runInfo = {}) {
+    const job = this.jobs.get(name)
+    if (!job) {
+      return Promise.reject(new Error(`Unknown job ${name}`))
+    }
+    /**
+     * @type {JobRun}
+     */
+    const run = {
+      name,
+      trigger: runInfo.trigger ?? "manual",
+      attempt: runInfo.attempt ?? 1,
+      id: runInfo.id ?? null,
+    }
+    const promise = this.execute(job, payload, run)
+    job.runs.add(promise)
+    promise.finally(() => {
+      job.runs.delete(promise)
+    }).catch(() => {})
+    return promise
+  }
+
+  /**
+   * @param {RegisteredJob} job
+   * @param {*} payload
+   * @param {JobRun} run
+   * @return {Promise<number>}
+   */
+  async execute(job, payload, run) {
+    await job.limiter.acquire()
+    const startTime = Date.now()
+    const context = run.id === null ? {job: job.name} : {
+      job: job.name,
+      jobId: run.id,
+    }
+    try {
+      await this.core.requestContext.run(context, () => job.definition.handler(payload, run))
+    } catch (error) {
+      const duration = Date.now() - startTime
+      this.core.logger.error("Job %s (%s) failed after %s: %s", job.name, run.trigger, readableMs(duration), error)
+      this.observe(job, "failure", duration)
+      throw error
+    } finally {
+      job.limiter.release()
+    }
+    const duration = Date.now() - startTime
+    this.core.logger.log(this.core.options.jobLogLevel, "Job %s (%s) finished in %s", job.name, run.trigger, readableMs(duration))
+    this.observe(job, "success", duration)
+    return duration
+  }
+
+  /**
+   * @param {RegisteredJob} job
+   * @param {"success"|"failure"} result
+   * @param {number} duration
+   */
+  observe(job, result, duration) {
+    this.core.metrics.increment("job_runs_total", {
+      result,
+      job: job.name,
+    })
+    this.core.metrics.observe("job_run_duration_seconds", {job: job.name}, duration / 1000)
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,128 @@
+import fs from "node:fs"
+import path from "node:path"
+
+import readableMs from "readable-ms"
+
+/**
+ * @typedef {Object} LifecycleEntry
+ * @prop {string} phase Name of the core phase or plugin hook
+ * @prop {string|null} pluginId `null` for core phases
+ * @prop {number} startTime Milliseconds since the epoch
+ * @prop {number} duration Milliseconds
+ */
+
+/**
+ * Collects timings of core phases and plugin hooks during startup
+ * @class
+ */
+export default class LifecycleReport {
+
+  /**
+   * @type {LifecycleEntry[]}
+   */
+  entries = []
+
+  /**
+   * @constructor
+   * @param {Date} startTime
+   */
+  constructor(startTime) {
+    /**
+     * @type {Date}
+     */
+    this.startTime = startTime
+  }
+
+  /**
+   * @param {string} phase
+   * @param {string|null} pluginId
+   * @param {number} startTime
+   * @param {number} [endTime=Date.now()]
+   */
+  add(phase, pluginId, startTime, endTime = Date.now()) {
+    this.entries.push({
+      phase,
+      pluginId,
+      startTime,
+      duration: endTime - startTime,
+    })
+  }
+
+  /**
+   * @template T
+   * @param {string} phase
+   * @param {() => T} job
+   * @return {Promise<T>}
+   */
+  async measure(phase, job) {
+    const startTime = Date.now()
+    try {
+      return await job()
+    } finally {
+      this.add(phase, null, startTime)
+    }
+  }
+
+  /**
+   * @return {LifecycleEntry[]} Entries sorted by duration, longest first
+   */
+  getSortedEntries() {
+    return [...this.entries].sort((a, b) => b.duration - a.duration)
+  }
+
+  /**
+   * @return {string}
+   */
+  formatTable() {
+    const rows = this.getSortedEntries().map(entry => [readableMs(entry.duration), entry.phase, entry.pluginId ?? "(core)"])
+    const header = ["Duration", "Phase", "Plugin"]
+    const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)))
+    const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd()
+    return [formatRow(header), ...rows.map(formatRow)].join("\n")
+  }
+
+  /**
+   * @return {{traceEvents: Object[]}} Trace in the Chrome trace event format, can be opened with chrome://tracing or https://ui.perfetto.dev
+   */
+  toTraceEvents() {
+    const threadIds = {}
+    const traceEvents = []
+    for (const entry of this.entries) {
+      const threadName = entry.pluginId ?? "core"
+      if (threadIds[threadName] === undefined) {
+        threadIds[threadName] = Object.keys(threadIds).length
+        traceEvents.push({
+          name: "thread_name",
+          ph: "M",
+          pid: process.pid,
+          tid: threadIds[threadName],
+          args: {
+            name: threadName,
+          },
+        })
+      }
+      traceEvents.push({
+        name: entry.phase,
+        cat: entry.pluginId ? "plugin" : "core",
+        ph: "X",
+        ts: (entry.startTime - this.startTime.getTime()) * 1000,
+        dur: entry.duration * 1000,
+        pid: process.pid,
+        tid: threadIds[threadName],
+      })
+    }
+    return {traceEvents}
+  }
+
+  /**
+   * @param {string} folder
+   * @return {Promise<string>} Path of the written file
+   */
+  async writeTrace(folder) {
+    const file = path.join(folder, "trace", `startup-${this.startTime.toISOString().replaceAll(":", "-")}.json`)
+    await fs.promises.mkdir(path.dirname(file), {recursive: true})
+    await fs.promises.writeFile(file, JSON.stringify(this.toTraceEvents()))
+    return file
+  }
+
+}
\ No newline at end of file
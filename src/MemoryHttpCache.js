@@ -0,0 +1,71 @@
+/**
+ * Keyv-compatible store for the got cache that keeps the most recently used responses in memory
+ * @class
+ */
+export default class MemoryHttpCache {
+
+  /**
+   * Entries in order of their last use, the least recently used entry comes first
+   * @type {Map<string, {value: string, expiresAt: number|null}>}
+   */
+  entries = new Map
+
+  /**
+   * @constructor
+   * @param {number} [maxEntries=1000]
+   */
+  constructor(maxEntries) {
+    /**
+     * @type {number}
+     */
+    this.maxEntries = maxEntries ?? 1000
+  }
+
+  /**
+   * @param {string} key
+   * @return {string|undefined}
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return
+    }
+    this.entries.delete(key)
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      return
+    }
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @param {number} [ttl] Milliseconds
+   * @return {boolean}
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key)
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null,
+    })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+    return true
+  }
+
+  /**
+   * @param {string} key
+   * @return {boolean}
+   */
+  delete(key) {
+    return this.entries.delete(key)
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * koa-session store that keeps sessions in memory, meant for tests and development
+ * @class
+ */
+export default class MemorySessionStore {
+
+  /**
+   * @type {Map<string, {session: Object, expiresAt: number}>}
+   */
+  sessions = new Map
+
+  /**
+   * @param {string} key
+   * @return {Object|undefined}
+   */
+  get(key) {
+    const entry = this.sessions.get(key)
+    if (!entry) {
+      return
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(key)
+      return
+    }
+    return entry.session
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} session
+   * @param {number|"session"} maxAge
+   */
+  set(key, session, maxAge) {
+    this.sessions.set(key, {
+      session,
+      expiresAt: Date.now() + (typeof maxAge === "number" ? maxAge : 86_400_000),
+    })
+  }
+
+  /**
+   * @param {string} key
+   */
+  destroy(key) {
+    this.sessions.delete(key)
+  }
+
+  /**
+   * @return {number} Number of removed sessions
+   */
+  cleanup() {
+    let count = 0
+    for (const [key, entry] of this.sessions) {
+      if (entry.expiresAt <= Date.now()) {
+        this.sessions.delete(key)
+        count++
+      }
+    }
+    return count
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * @typedef {Object} MetricDefinition
+ * @prop {"counter"|"histogram"} type
+ * @prop {string} help
+ * @prop {number[]} [buckets]
+ * @prop {Map<string, Object>} series
+ */
+
+/**
+ * @type {number[]}
+ */
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * @param {string} value
+ * @return {string}
+ */
+const escapeLabelValue = value => String(value).replaceAll("\\", "\\\\").replace(/\n/g, "\\n").replaceAll("\"", "\\\"")
+
+/**
+ * @param {Object<string, string>} labels
+ * @return {string}
+ */
+const formatLabels = labels => {
+  const entries = Object.entries(labels)
+  if (!entries.length) {
+    return ""
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`
+}
+
+/**
+ * Minimal registry for counters and histograms that renders the Prometheus text format
+ * @class
+ */
+export default class Metrics {
+
+  /**
+   * @type {Map<string, MetricDefinition>}
+   */
+  metrics = new Map
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   */
+  addCounter(name, help) {
+    this.metrics.set(name, {
+      help,
+      type: "counter",
+      series: new Map,
+    })
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} [buckets]
+   */
+  addHistogram(name, help, buckets) {
+    this.metrics.set(name, {
+      help,
+      buckets: buckets || defaultBuckets,
+      type: "histogram",
+      series: new Map,
+    })
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object<string, string>} labels
+   * @return {Object}
+   */
+  getSeries(name, labels) {
+    const metric = this.metrics.get(name)
+    if (!metric) {
+      throw new Error(`Metric ${name} has not been added`)
+    }
+    const key = formatLabels(labels)
+    let series = metric.series.get(key)
+    if (!series) {
+      series = {labels}
+      if (metric.type === "counter") {
+        series.value = 0
+      } else {
+        series.bucketCounts = metric.buckets.map(() => 0)
+        series.sum = 0
+        series.count = 0
+      }
+      metric.series.set(key, series)
+    }
+    return series
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object<string, string>} [labels={}]
+   * @param {number} [amount=1]
+   */
+  increment(name, labels = {}, amount = 1) {
+    const series = this.getSeries(name, labels)
+    series.value += amount
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object<string, string>} labels
+   * @param {number} value
+   */
+  observe(name, labels, value) {
+    const {buckets} = this.metrics.get(name)
+    const series = this.getSeries(name, labels)
+    for (const [index, bucket] of buckets.entries()) {
+      if (value <= bucket) {
+        series.bucketCounts[index]++
+      }
+    }
+    series.sum += value
+    series.count++
+  }
+
+  /**
+   * @return {string}
+   */
+  render() {
+    const lines = []
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`)
+      lines.push(`# TYPE ${name} ${metric.type}`)
+      for (const series of metric.series.values()) {
+        if (metric.type === "counter") {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`)
+          continue
+        }
+        for (const [index, bucket] of metric.buckets.entries()) {
+          lines.push(`${name}_bucket${formatLabels({
+            ...series.labels,
+            le: bucket,
+          })} ${series.bucketCounts[index]}`)
+        }
+        lines.push(`${name}_bucket${formatLabels({
+          ...series.labels,
+          le: "+Inf",
+        })} ${series.count}`)
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`)
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`)
+      }
+    }
+    return `${lines.join("\n")}\n`
+  }
+
+}
\ No newline at end of file
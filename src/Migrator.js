@@ -0,0 +1,205 @@
+import {isFunction} from "lodash-es"
+import readableMs from "readable-ms"
+
+import zahl from "./lib/esm/zahl.js"
+
+/**
+ * @typedef {Object} MigrationContext
+ * @prop {import("sequelize").Transaction} transaction Has to be passed to every query of the migration
+ * @prop {import("sequelize").Sequelize} sequelize
+ * @prop {typeof import("sequelize")} Sequelize
+ * @prop {import("./").default} core
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @prop {string} id
+ * @prop {(queryInterface: import("sequelize").QueryInterface, context: MigrationContext) => Promise<void>} up
+ * @prop {(queryInterface: import("sequelize").QueryInterface, context: MigrationContext) => Promise<void>} down
+ */
+
+/**
+ * @typedef {Migration & {pluginId: string}} CollectedMigration
+ */
+
+/**
+ * Applies and reverts migrations collected from plugins, applied migrations are recorded in a metadata table
+ * @class
+ */
+export default class Migrator {
+
+  /**
+   * @type {string}
+   */
+  tableName = "jaidCoreMigrations"
+
+  /**
+   * @type {CollectedMigration[]}
+   */
+  migrations = []
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   * @param {typeof import("sequelize")} Sequelize
+   */
+  constructor(core, Sequelize) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+    /**
+     * @type {typeof import("sequelize")}
+     */
+    this.Sequelize = Sequelize
+    /**
+     * @type {import("sequelize").QueryInterface}
+     */
+    this.queryInterface = core.database.getQueryInterface()
+  }
+
+  /**
+   * @param {Object<string, Migration[]|Object<string, Migration>>} migrationLists Migrations by plugin id, as returned by the `collectMigrations` hook
+   */
+  addMigrations(migrationLists) {
+    for (const [pluginId, migrationList] of Object.entries(migrationLists)) {
+      const migrations = Array.isArray(migrationList) ? migrationList : Object.entries(migrationList).map(([id, migration]) => ({
+        id,
+        ...migration,
+      }))
+      for (const migration of migrations) {
+        if (!migration.id) {
+          throw new Error(`Plugin ${pluginId} provided a migration without id`)
+        }
+        if (!isFunction(migration.up)) {
+          throw new Error(`Migration ${migration.id} of plugin ${pluginId} has no up function`)
+        }
+        const existingMigration = this.migrations.find(({id}) => id === migration.id)
+        if (existingMigration) {
+          throw new Error(`Migration id ${migration.id} is used by plugin ${existingMigration.pluginId} and plugin ${pluginId}`)
+        }
+        this.migrations.push({
+          ...migration,
+          pluginId,
+        })
+      }
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async ensureTable() {
+    await this.queryInterface.createTable(this.tableName, {
+      id: {
+        type: this.Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+      },
+      pluginId: {
+        type: this.Sequelize.STRING,
+        allowNull: false,
+      },
+      appliedAt: {
+        type: this.Sequelize.DATE,
+        allowNull: false,
+      },
+    })
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  async getAppliedIds() {
+    await this.ensureTable()
+    const rows = await this.queryInterface.select(null, this.tableName, {
+      attributes: ["id"],
+      raw: true,
+    })
+    return rows.map(row => row.id)
+  }
+
+  /**
+   * @param {CollectedMigration} migration
+   * @param {"up"|"down"} direction
+   * @return {Promise<void>}
+   */
+  async run(migration, direction) {
+    const startTime = Date.now()
+    await this.core.database.transaction(async transaction => {
+      const context = {
+        transaction,
+        sequelize: this.core.database,
+        Sequelize: this.Sequelize,
+        core: this.core,
+      }
+      await migration[direction](this.queryInterface, context)
+      if (direction === "up") {
+        await this.queryInterface.bulkInsert(this.tableName, [
+          {
+            id: migration.id,
+            pluginId: migration.pluginId,
+            appliedAt: new Date,
+          },
+        ], {transaction})
+      } else {
+        await this.queryInterface.bulkDelete(this.tableName, {id: migration.id}, {transaction})
+      }
+    })
+    const verb = direction === "up" ? "Applied" : "Reverted"
+    this.core.logger.info("%s migration %s of plugin %s in %s", verb, migration.id, migration.pluginId, readableMs(Date.now() - startTime))
+  }
+
+  /**
+   * Applies all pending migrations in order
+   * @return {Promise<string[]>} Ids of the applied migrations
+   */
+  async migrate() {
+    const appliedIds = await this.getAppliedIds()
+    const unknownIds = appliedIds.filter(appliedId => !this.migrations.some(({id}) => id === appliedId))
+    if (unknownIds.length) {
+      this.core.logger.warn("Database contains %s not provided by any plugin: %s", zahl(unknownIds, "applied migration"), unknownIds.join(", "))
+    }
+    const pendingMigrations = this.migrations.filter(({id}) => !appliedIds.includes(id))
+    if (!pendingMigrations.length) {
+      this.core.logger.debug("Database schema is up to date (%s applied)", zahl(appliedIds, "migration"))
+      return []
+    }
+    this.core.logger.info("Applying %s: %s", zahl(pendingMigrations, "pending migration"), pendingMigrations.map(({id}) => id).join(", "))
+    for (const migration of pendingMigrations) {
+      await this.run(migration, "up")
+    }
+    return pendingMigrations.map(({id}) => id)
+  }
+
+  /**
+   * Reverts all applied migrations that come after the given one
+   * @param {string|null} targetId Migration that should be the last applied one, `null` reverts all migrations
+   * @return {Promise<string[]>} Ids of the reverted migrations
+   */
+  async rollback(targetId) {
+    let targetIndex = -1
+    if (targetId !== null) {
+      targetIndex = this.migrations.findIndex(({id}) => id === targetId)
+      if (targetIndex === -1) {
+        throw new Error(`Can not roll back to unknown migration ${targetId}`)
+      }
+    }
+    const appliedIds = await this.getAppliedIds()
+    const revertedMigrations = this.migrations.slice(targetIndex + 1).filter(({id}) => appliedIds.includes(id)).reverse()
+    const migrationWithoutDown = revertedMigrations.find(migration => !isFunction(migration.down))
+    if (migrationWithoutDown) {
+      throw new Error(`Migration ${migrationWithoutDown.id} of plugin ${migrationWithoutDown.pluginId} has no down function and can not be reverted`)
+    }
+    if (!revertedMigrations.length) {
+      this.core.logger.info("No migrations to revert")
+      return []
+    }
+    this.core.logger.info("Reverting %s: %s", zahl(revertedMigrations, "migration"), revertedMigrations.map(({id}) => id).join(", "))
+    for (const migration of revertedMigrations) {
+      await this.run(migration, "down")
+    }
+    return revertedMigrations.map(({id}) => id)
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+import {isFunction} from "lodash-es"
+
+import composeMiddlewares from "./composeMiddlewares.js"
+import respondWithProblem from "./respondWithProblem.js"
+import validateConfig from "./validateConfig.js"
+
+/**
+ * @typedef {Object} RouteSchema
+ * @prop {Object<string, import("./validateConfig.js").ConfigSchema>} [params]
+ * @prop {Object<string, import("./validateConfig.js").ConfigSchema>} [query]
+ * @prop {Object<string, import("./validateConfig.js").ConfigSchema>} [body] Requests with JSON body get it parsed to `context.request.body`
+ */
+
+/**
+ * @typedef {Object} Route
+ * @prop {string} method
+ * @prop {string} path Segments starting with `:` are params, like `/users/:id`
+ * @prop {import("koa").Middleware} handler
+ * @prop {import("koa").Middleware|import("koa").Middleware[]} [middleware] Called before validation and handler
+ * @prop {RouteSchema} [schema]
+ */
+
+/**
+ * @typedef {Object} MountedRoute
+ * @prop {string} pluginId
+ * @prop {string} method
+ * @prop {string} path
+ * @prop {string} signature Method and path with anonymized params, used for conflict detection
+ * @prop {RegExp} regex
+ * @prop {string[]} paramNames
+ * @prop {import("koa").Middleware} middleware
+ */
+
+/**
+ * @typedef {Object} RequestValidationError
+ * @prop {"params"|"query"|"body"} location
+ * @prop {string} key
+ * @prop {string} message
+ */
+
+const maxBodyLength = 1_048_576
+
+/**
+ * @param {string} routePath
+ * @return {string}
+ */
+const normalizePath = routePath => {
+  const normalizedPath = `/${routePath}`.replace(/\/{2,}/g, "/")
+  if (normalizedPath.length > 1 && normalizedPath.endsWith("/")) {
+    return normalizedPath.slice(0, -1)
+  }
+  return normalizedPath
+}
+
+/**
+ * @param {import("koa").Context} context
+ * @return {Promise<*>}
+ */
+const readJsonBody = async context => {
+  const chunks = []
+  let length = 0
+  for await (const chunk of context.req) {
+    length += chunk.length
+    if (length > maxBodyLength) {
+      const error = new Error(`Request body is larger than ${maxBodyLength} bytes`)
+      error.status = 413
+      throw error
+    }
+    chunks.push(chunk)
+  }
+  const text = Buffer.concat(chunks).toString("utf8")
+  if (!text) {
+    return {}
+  }
+  try {
+    return JSON.parse(text)
+  } catch {
+    const error = new Error("Request body is not valid JSON")
+    error.status = 400
+    throw error
+  }
+}
+
+/**
+ * @param {RouteSchema} schema
+ * @return {import("koa").Middleware}
+ */
+const createValidationMiddleware = schema => async (context, next) => {
+  if (schema.body && context.request.body === undefined) {
+    if (context.is("json")) {
+      try {
+        context.request.body = await readJsonBody(context)
+      } catch (error) {
+        respondWithProblem(context, error.status, error.message)
+        return
+      }
+    } else {
+      context.request.body = {}
+    }
+  }
+  const errors = []
+  const sources = {
+    params: () => context.params,
+    query: () => context.query,
+    body: () => context.request.body,
+  }
+  const results = {}
+  for (const [location, getValues] of Object.entries(sources)) {
+    if (!schema[location]) {
+      continue
+    }
+    const result = validateConfig(getValues() || {}, schema[location])
+    results[location] = result.config
+    for (const error of result.errors) {
+      errors.push({
+        location,
+        ...error,
+      })
+    }
+  }
+  if (errors.length) {
+    respondWithProblem(context, 400, "Invalid request", {errors})
+    return
+  }
+  if (results.params) {
+    context.params = results.params
+  }
+  if (results.query) {
+    context.state.query = results.query
+  }
+  if (results.body) {
+    context.request.body = results.body
+  }
+  await next()
+}
+
+/**
+ * Matches requests to the routes collected from plugins
+ * @class
+ */
+export default class Router {
+
+  /**
+   * @type {MountedRoute[]}
+   */
+  routes = []
+
+  /**
+   * @param {string} pluginId
+   * @param {string} prefix
+   * @param {Route} route
+   */
+  add(pluginId, prefix, route) {
+    if (!route.method || !route.path) {
+      throw new Error(`Plugin ${pluginId} provided a route without method or path`)
+    }
+    if (!isFunction(route.handler)) {
+      throw new Error(`Route ${route.method} ${route.path} of plugin ${pluginId} has no handler`)
+    }
+    const method = route.method.toUpperCase()
+    const routePath = normalizePath(`${prefix || ""}/${route.path}`)
+    const signature = `${method} ${routePath.replace(/:[^/]+/g, ":")}`
+    const conflictingRoute = this.routes.find(mountedRoute => mountedRoute.signature === signature)
+    if (conflictingRoute) {
+      throw new Error(`Route ${method} ${routePath} of plugin ${pluginId} conflicts with ${conflictingRoute.method} ${conflictingRoute.path} of plugin ${conflictingRoute.pluginId}`)
+    }
+    const paramNames = []
+    const pattern = routePath.split("/").map(segment => {
+      if (segment.startsWith(":")) {
+        paramNames.push(segment.slice(1))
+        return "([^/]+)"
+      }
+      return segment.replace(/[$()*+.?[\\\]^{|}]/g, "\\$&")
+    }).join("/")
+    const middlewares = route.middleware ? [route.middleware].flat() : []
+    if (route.schema) {
+      middlewares.push(createValidationMiddleware(route.schema))
+    }
+    middlewares.push(route.handler)
+    this.routes.push({
+      pluginId,
+      method,
+      signature,
+      paramNames,
+      path: routePath,
+      regex: new RegExp(`^${pattern}$`),
+      middleware: composeMiddlewares(middlewares),
+    })
+    this.routes.sort((a, b) => a.paramNames.length - b.paramNames.length)
+  }
+
+  /**
+   * @param {string} pluginId
+   * @return {number} Number of removed routes
+   */
+  removeByPlugin(pluginId) {
+    const count = this.routes.length
+    this.routes = this.routes.filter(route => route.pluginId !== pluginId)
+    return count - this.routes.length
+  }
+
+  /**
+   * @param {import("koa").Context} context
+   * @param {Function} next
+   * @return {Promise<void>}
+   */
+  async dispatch(context, next) {
+    const method = context.method === "HEAD" ? "GET" : context.method
+    const allowedMethods = []
+    for (const route of this.routes) {
+      const match = route.regex.exec(context.path)
+      if (!match) {
+        continue
+      }
+      if (route.method !== method) {
+        allowedMethods.push(route.method)
+        continue
+      }
+      try {
+        context.params = Object.fromEntries(route.paramNames.map((name, index) => [name, decodeURIComponent(match[index + 1])]))
+      } catch {
+        respondWithProblem(context, 400, "Malformed path")
+        return
+      }
+      context.state.route = route
+      await route.middleware(context, next)
+      return
+    }
+    if (allowedMethods.length) {
+      context.set("Allow", allowedMethods.join(", "))
+      respondWithProblem(context, 405, "Method not allowed")
+      return
+    }
+    await next()
+  }
+
+  /**
+   * @return {string}
+   */
+  formatTable() {
+    const rows = [...this.routes].sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method)).map(route => [route.method, route.path, route.pluginId])
+    const header = ["Method", "Path", "Plugin"]
+    const widths = header.map((title, index) => rows.reduce((width, row) => row[index].length > width ? row[index].length : width, title.length))
+    const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd()
+    return [formatRow(header), ...rows.map(formatRow)].join("\n")
+  }
+
+}
\ No newline at end of file
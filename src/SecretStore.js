@@ -0,0 +1,173 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import path from "node:path"
+import {promisify} from "node:util"
+
+const scrypt = promisify(crypto.scrypt)
+
+/**
+ * @typedef {Object} EncryptedFile
+ * @prop {number} version
+ * @prop {string} salt Base64
+ * @prop {string} iv Base64
+ * @prop {string} tag Base64
+ * @prop {string} data Base64
+ */
+
+/**
+ * Secrets encrypted with AES-256-GCM in a single file, the encryption key is derived from a master key with scrypt
+ * @class
+ */
+export default class SecretStore {
+
+  /**
+   * @type {Object<string, string|string[]>}
+   */
+  values = {}
+
+  /**
+   * @type {Buffer}
+   */
+  salt = null
+
+  /**
+   * @type {Buffer}
+   */
+  key = null
+
+  /**
+   * @return {string} 256 random bits
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString("base64url")
+  }
+
+  /**
+   * @constructor
+   * @param {string} file
+   * @param {string} masterKey
+   * @param {(name: string, value: string|string[]) => Promise<void>} [handleChange] Gets called after `set` and `rotate`
+   */
+  constructor(file, masterKey, handleChange) {
+    /**
+     * @type {string}
+     */
+    this.file = file
+    /**
+     * @type {string}
+     */
+    this.masterKey = masterKey
+    /**
+     * @type {((name: string, value: string|string[]) => Promise<void>)|undefined}
+     */
+    this.handleChange = handleChange
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async load() {
+    let content
+    try {
+      content = await fs.promises.readFile(this.file, "utf8")
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error
+      }
+      this.salt = crypto.randomBytes(16)
+      this.key = await scrypt(this.masterKey, this.salt, 32)
+      this.values = {}
+      return
+    }
+    /**
+     * @type {EncryptedFile}
+     */
+    const encryptedFile = JSON.parse(content)
+    this.salt = Buffer.from(encryptedFile.salt, "base64")
+    this.key = await scrypt(this.masterKey, this.salt, 32)
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.key, Buffer.from(encryptedFile.iv, "base64"))
+    decipher.setAuthTag(Buffer.from(encryptedFile.tag, "base64"))
+    let decrypted
+    try {
+      decrypted = Buffer.concat([decipher.update(Buffer.from(encryptedFile.data, "base64")), decipher.final()])
+    } catch {
+      throw new Error(`Could not decrypt secret store ${this.file}, the master key is probably wrong`)
+    }
+    this.values = JSON.parse(decrypted.toString("utf8"))
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async save() {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.values), "utf8"), cipher.final()])
+    /**
+     * @type {EncryptedFile}
+     */
+    const encryptedFile = {
+      version: 1,
+      salt: this.salt.toString("base64"),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    }
+    await fs.promises.mkdir(path.dirname(this.file), {recursive: true})
+    const temporaryFile = `${this.file}.tmp`
+    await fs.promises.writeFile(temporaryFile, JSON.stringify(encryptedFile), {mode: 0o600})
+    await fs.promises.rename(temporaryFile, this.file)
+  }
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  has(name) {
+    return this.values[name] !== undefined
+  }
+
+  /**
+   * @param {string} name
+   * @return {string|string[]|undefined}
+   */
+  get(name) {
+    return this.values[name]
+  }
+
+  /**
+   * @param {string} name
+   * @param {string|string[]} value
+   * @return {Promise<void>}
+   */
+  async set(name, value) {
+    this.values[name] = value
+    await this.save()
+    await this.handleChange?.(name, value)
+  }
+
+  /**
+   * Replaces a secret with a new random value, secrets that are arrays (like `koaKeys`) get the new value prepended and keep some of their old values for verification
+   * @param {string} name
+   * @param {number} [keep=3] Maximum number of values kept in arrays, including the new one
+   * @return {Promise<string>} The new value
+   */
+  async rotate(name, keep) {
+    const newValue = SecretStore.generateSecret()
+    const currentValue = this.values[name]
+    if (Array.isArray(currentValue)) {
+      await this.set(name, [newValue, ...currentValue].slice(0, keep ?? 3))
+    } else {
+      await this.set(name, newValue)
+    }
+    return newValue
+  }
+
+  /**
+   * @return {string[]} All stored secret strings
+   */
+  getAllStrings() {
+    return Object.values(this.values).flat()
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,279 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import path from "node:path"
+
+import {isFunction} from "lodash-es"
+import readableMs from "readable-ms"
+
+import zahl from "./lib/esm/zahl.js"
+
+/**
+ * @typedef {Object} SeedContext
+ * @prop {import("sequelize").Transaction} transaction Has to be passed to every query of the seed
+ * @prop {import("sequelize").Sequelize} sequelize Connection of the seeded model
+ * @prop {typeof import("sequelize")} Sequelize
+ * @prop {import("./").default} core
+ */
+
+/**
+ * @typedef {Object<string, *>[]|((model: typeof import("sequelize").Model, context: SeedContext) => Promise<void>)} Seed
+ */
+
+/**
+ * @typedef {Object} CollectedSeed
+ * @prop {string} id Plugin id and model name, like `myPlugin.Cat`
+ * @prop {string} pluginId
+ * @prop {typeof import("sequelize").Model} model
+ * @prop {Seed} seed
+ * @prop {string|null} hash Hash of the rows, `null` for seed functions
+ */
+
+/**
+ * @type {string[]}
+ */
+const fixtureExtensions = [".json", ".yml", ".yaml"]
+
+/**
+ * Upserts seed rows collected from plugins and loads fixture files, applied seeds are recorded in a metadata table of the seeded model's connection
+ * @class
+ */
+export default class Seeder {
+
+  /**
+   * @type {string}
+   */
+  tableName = "jaidCoreSeeds"
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   * @param {typeof import("sequelize")} Sequelize
+   */
+  constructor(core, Sequelize) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+    /**
+     * @type {typeof import("sequelize")}
+     */
+    this.Sequelize = Sequelize
+  }
+
+  /**
+   * @param {string} modelName
+   * @return {typeof import("sequelize").Model|undefined} Model of the default connection, or of the first named connection that has a model with this name
+   */
+  getModel(modelName) {
+    for (const database of Object.values(this.core.databases)) {
+      if (database.models[modelName]) {
+        return database.models[modelName]
+      }
+    }
+  }
+
+  /**
+   * @param {Object<string, Object<string, Seed>>} seedMaps Seeds by model name by plugin id, as returned by the `collectSeeds` hook
+   * @return {CollectedSeed[]}
+   */
+  collect(seedMaps) {
+    const seeds = []
+    for (const [pluginId, seedMap] of Object.entries(seedMaps)) {
+      for (const [modelName, seed] of Object.entries(seedMap || {})) {
+        const id = `${pluginId}.${modelName}`
+        const model = this.getModel(modelName)
+        if (!model) {
+          throw new Error(`Plugin ${pluginId} provided seeds for unknown model ${modelName}`)
+        }
+        if (!Array.isArray(seed) && !isFunction(seed)) {
+          throw new Error(`Seeds ${id} have to be an array of rows or a function`)
+        }
+        seeds.push({
+          id,
+          pluginId,
+          model,
+          seed,
+          hash: isFunction(seed) ? null : crypto.createHash("sha1").update(JSON.stringify(seed)).digest("hex"),
+        })
+      }
+    }
+    return seeds
+  }
+
+  /**
+   * @param {import("sequelize").Sequelize} database
+   * @return {Promise<Map<string, string|null>>} Hashes of the applied seeds by id
+   */
+  async getAppliedHashes(database) {
+    const queryInterface = database.getQueryInterface()
+    await queryInterface.createTable(this.tableName, {
+      id: {
+        type: this.Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false,
+      },
+      pluginId: {
+        type: this.Sequelize.STRING,
+        allowNull: false,
+      },
+      hash: this.Sequelize.STRING(40),
+      appliedAt: {
+        type: this.Sequelize.DATE,
+        allowNull: false,
+      },
+    })
+    const rows = await queryInterface.select(null, this.tableName, {
+      attributes: ["id", "hash"],
+      raw: true,
+    })
+    return new Map(rows.map(row => [row.id, row.hash]))
+  }
+
+  /**
+   * Forgets all applied seeds of a connection, needed after its tables have been recreated
+   * @param {import("sequelize").Sequelize} database
+   * @return {Promise<void>}
+   */
+  async reset(database) {
+    await database.getQueryInterface().dropTable(this.tableName)
+  }
+
+  /**
+   * Applies seeds that have not been applied yet, seed rows are applied again if they changed
+   * @param {Object<string, Object<string, Seed>>} seedMaps Seeds by model name by plugin id, as returned by the `collectSeeds` hook
+   * @return {Promise<string[]>} Ids of the applied seeds
+   */
+  async seed(seedMaps) {
+    const seeds = this.collect(seedMaps)
+    if (!seeds.length) {
+      return []
+    }
+    const appliedHashesByDatabase = new Map
+    const pendingSeeds = []
+    for (const seed of seeds) {
+      const database = seed.model.sequelize
+      if (!appliedHashesByDatabase.has(database)) {
+        appliedHashesByDatabase.set(database, await this.getAppliedHashes(database))
+      }
+      const appliedHashes = appliedHashesByDatabase.get(database)
+      if (!appliedHashes.has(seed.id) || appliedHashes.get(seed.id) !== seed.hash) {
+        pendingSeeds.push(seed)
+      }
+    }
+    if (!pendingSeeds.length) {
+      this.core.logger.debug("All %s have already been applied", zahl(seeds, "seed"))
+      return []
+    }
+    this.core.logger.info("Applying %s: %s", zahl(pendingSeeds, "seed"), pendingSeeds.map(({id}) => id).join(", "))
+    for (const seed of pendingSeeds) {
+      await this.run(seed)
+    }
+    return pendingSeeds.map(({id}) => id)
+  }
+
+  /**
+   * @param {CollectedSeed} collectedSeed
+   * @return {Promise<void>}
+   */
+  async run({id, pluginId, model, seed, hash}) {
+    const startTime = Date.now()
+    const database = model.sequelize
+    const queryInterface = database.getQueryInterface()
+    await database.transaction(async transaction => {
+      if (isFunction(seed)) {
+        await seed(model, {
+          transaction,
+          sequelize: database,
+          Sequelize: this.Sequelize,
+          core: this.core,
+        })
+      } else {
+        for (const row of seed) {
+          await model.upsert(row, {transaction})
+        }
+      }
+      await queryInterface.bulkDelete(this.tableName, {id}, {transaction})
+      await queryInterface.bulkInsert(this.tableName, [
+        {
+          id,
+          pluginId,
+          hash,
+          appliedAt: new Date,
+        },
+      ], {transaction})
+    })
+    this.core.logger.info("Applied seed %s (%s) in %s", id, isFunction(seed) ? "function" : zahl(seed, "row"), readableMs(Date.now() - startTime))
+  }
+
+  /**
+   * @param {string[]} fixturePaths Files or folders, folders are searched for `.json`, `.yml` and `.yaml` files
+   * @return {Promise<string[]>} Fixture files, files of a folder are sorted by name
+   */
+  async getFixtureFiles(fixturePaths) {
+    const files = []
+    for (const fixturePath of fixturePaths) {
+      const resolvedPath = path.resolve(fixturePath)
+      const stats = await fs.promises.stat(resolvedPath)
+      if (!stats.isDirectory()) {
+        files.push(resolvedPath)
+        continue
+      }
+      const entries = await fs.promises.readdir(resolvedPath)
+      const fileNames = entries.filter(fileName => fixtureExtensions.includes(path.extname(fileName).toLowerCase())).sort()
+      files.push(...fileNames.map(fileName => path.join(resolvedPath, fileName)))
+    }
+    return files
+  }
+
+  /**
+   * @param {string} file
+   * @return {Promise<Object<string, Object<string, *>[]>>} Rows by model name
+   */
+  async readFixtureFile(file) {
+    const text = await fs.promises.readFile(file, "utf8")
+    if (path.extname(file).toLowerCase() === ".json") {
+      return JSON.parse(text)
+    }
+    const yaml = __non_webpack_require__("js-yaml")
+    return yaml.load(text)
+  }
+
+  /**
+   * Upserts the rows of fixture files, every file is loaded in a transaction per connection
+   * @param {string[]} fixturePaths Files or folders
+   * @return {Promise<number>} Number of loaded rows
+   */
+  async loadFixtures(fixturePaths) {
+    let totalCount = 0
+    for (const file of await this.getFixtureFiles(fixturePaths)) {
+      const fixture = await this.readFixtureFile(file)
+      const rowsByDatabase = new Map
+      for (const [modelName, rows] of Object.entries(fixture || {})) {
+        const model = this.getModel(modelName)
+        if (!model) {
+          throw new Error(`Fixture file ${file} contains rows for unknown model ${modelName}`)
+        }
+        if (!Array.isArray(rows)) {
+          throw new TypeError(`Fixture file ${file} has to contain an array of rows for model ${modelName}`)
+        }
+        if (!rowsByDatabase.has(model.sequelize)) {
+          rowsByDatabase.set(model.sequelize, [])
+        }
+        rowsByDatabase.get(model.sequelize).push(...rows.map(row => [model, row]))
+      }
+      let count = 0
+      for (const [database, modelRows] of rowsByDatabase) {
+        await database.transaction(async transaction => {
+          for (const [model, row] of modelRows) {
+            await model.upsert(row, {transaction})
+          }
+        })
+        count += modelRows.length
+      }
+      this.core.logger.info("Loaded %s from %s", zahl(count, "fixture row"), file)
+      totalCount += count
+    }
+    return totalCount
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * @typedef {Object} ServiceEntry
+ * @prop {Promise<*>} promise Resolves with the service implementation
+ * @prop {(implementation: *) => void} resolve
+ * @prop {*} implementation
+ * @prop {boolean} provided
+ * @prop {string|null} pluginId Plugin that provided the service
+ */
+
+/**
+ * Lets plugins provide services by name and other plugins wait for them
+ * @class
+ */
+export default class ServiceRegistry {
+
+  /**
+   * @type {Map<string, ServiceEntry>}
+   */
+  services = new Map
+
+  /**
+   * Plugins that have finished `init`, services of other plugins are held back until then
+   * @type {Set<string>}
+   */
+  initializedPluginIds = new Set
+
+  /**
+   * @param {string} serviceName
+   * @return {ServiceEntry}
+   */
+  getEntry(serviceName) {
+    if (!this.services.has(serviceName)) {
+      let resolveService
+      const promise = new Promise(resolve => {
+        resolveService = resolve
+      })
+      this.services.set(serviceName, {
+        promise,
+        resolve: resolveService,
+        implementation: undefined,
+        provided: false,
+        pluginId: null,
+      })
+    }
+    return this.services.get(serviceName)
+  }
+
+  /**
+   * @param {string} serviceName
+   * @param {*} implementation If this is a promise, the service is available once it resolves
+   * @param {string|null} pluginId If given, the service is available once this plugin has finished `init`
+   */
+  provide(serviceName, implementation, pluginId) {
+    const entry = this.getEntry(serviceName)
+    if (entry.provided) {
+      throw new Error(`Service ${serviceName} has already been provided${entry.pluginId ? ` by plugin ${entry.pluginId}` : ""}`)
+    }
+    entry.provided = true
+    entry.pluginId = pluginId
+    entry.implementation = implementation
+    if (!pluginId || this.initializedPluginIds.has(pluginId)) {
+      entry.resolve(implementation)
+    }
+  }
+
+  /**
+   * Releases the services the plugin has provided so far, services it provides later are available immediately
+   * @param {string} pluginId
+   */
+  setPluginInitialized(pluginId) {
+    this.initializedPluginIds.add(pluginId)
+    for (const entry of this.services.values()) {
+      if (entry.pluginId === pluginId) {
+        entry.resolve(entry.implementation)
+      }
+    }
+  }
+
+  /**
+   * @param {string} serviceName
+   * @return {Promise<*>}
+   */
+  use(serviceName) {
+    return this.getEntry(serviceName).promise
+  }
+
+  /**
+   * Removes all services of a plugin, later calls of `use` wait for a new provider
+   * @param {string} pluginId
+   * @return {string[]} Names of the removed services
+   */
+  removeByPlugin(pluginId) {
+    this.initializedPluginIds.delete(pluginId)
+    const serviceNames = []
+    for (const [serviceName, entry] of this.services) {
+      if (entry.pluginId === pluginId) {
+        this.services.delete(serviceName)
+        serviceNames.push(serviceName)
+      }
+    }
+    return serviceNames
+  }
+
+  /**
+   * @return {string[]} Names of services that have been requested, but not provided
+   */
+  getUnresolvedNames() {
+    return [...this.services].filter(([, entry]) => !entry.provided).map(([serviceName]) => serviceName)
+  }
+
+}
\ No newline at end of file
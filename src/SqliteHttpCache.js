@@ -0,0 +1,101 @@
+/**
+ * Keyv-compatible store for the got cache that keeps responses in an SQLite file
+ * @class
+ */
+export default class SqliteHttpCache {
+
+  /**
+   * @type {import("sequelize").Sequelize}
+   */
+  database = null
+
+  /**
+   * @constructor
+   * @param {typeof import("sequelize").Sequelize} Sequelize
+   * @param {string} file
+   */
+  constructor(Sequelize, file) {
+    /**
+     * @type {typeof import("sequelize").Sequelize}
+     */
+    this.Sequelize = Sequelize
+    /**
+     * @type {string}
+     */
+    this.file = file
+  }
+
+  /**
+   * Opens the file, creates the table if needed and removes expired entries
+   * @return {Promise<void>}
+   */
+  async load() {
+    this.database = new this.Sequelize({
+      dialect: "sqlite",
+      storage: this.file,
+      logging: false,
+    })
+    await this.database.query("CREATE TABLE IF NOT EXISTS entries (key TEXT PRIMARY KEY, value TEXT NOT NULL, expiresAt INTEGER)")
+    await this.cleanup()
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise<string|undefined>}
+   */
+  async get(key) {
+    const [rows] = await this.database.query("SELECT value, expiresAt FROM entries WHERE key = ?", {replacements: [key]})
+    const row = rows[0]
+    if (!row) {
+      return
+    }
+    if (row.expiresAt !== null && row.expiresAt <= Date.now()) {
+      await this.delete(key)
+      return
+    }
+    return row.value
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @param {number} [ttl] Milliseconds
+   * @return {Promise<boolean>}
+   */
+  async set(key, value, ttl) {
+    await this.database.query("INSERT OR REPLACE INTO entries (key, value, expiresAt) VALUES (?, ?, ?)", {replacements: [key, value, ttl ? Date.now() + ttl : null]})
+    return true
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise<boolean>}
+   */
+  async delete(key) {
+    await this.database.query("DELETE FROM entries WHERE key = ?", {replacements: [key]})
+    return true
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async clear() {
+    await this.database.query("DELETE FROM entries")
+  }
+
+  /**
+   * Removes expired entries
+   * @return {Promise<void>}
+   */
+  async cleanup() {
+    await this.database.query("DELETE FROM entries WHERE expiresAt <= ?", {replacements: [Date.now()]})
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async close() {
+    await this.database.close()
+  }
+
+}
\ No newline at end of file
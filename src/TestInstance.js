@@ -0,0 +1,259 @@
+import crypto from "node:crypto"
+import fs from "node:fs"
+import path from "node:path"
+import util from "node:util"
+
+import {isString} from "lodash-es"
+
+import getFreePort from "./getFreePort.js"
+import zahl from "./lib/esm/zahl.js"
+
+/**
+ * @typedef {Object} CapturedLogLine
+ * @prop {string} level
+ * @prop {string} message Formatted like in the log files, including the request context and with secrets redacted
+ */
+
+/**
+ * @typedef {string|RegExp} LogPattern Strings match log lines that contain them
+ */
+
+/**
+ * Hooks that the core calls on dependents before their dependencies
+ * @type {string[]}
+ */
+const reversedHooks = ["preClose", "close", "postClose"]
+
+/**
+ * Initialized core for tests with a temporary app folder, in-memory databases, random free ports and captured log lines
+ * @class
+ */
+export default class TestInstance {
+
+  /**
+   * @type {CapturedLogLine[]}
+   */
+  logLines = []
+
+  /**
+   * Got client that has the URL of the running server as `prefixUrl`, does not retry and does not throw for error statuses, `null` if the core has no server
+   * @type {import("got").Got|null}
+   */
+  request = null
+
+  /**
+   * @type {Promise<void>|null}
+   */
+  closePromise = null
+
+  /**
+   * @constructor
+   * @param {import("./").default} core
+   * @param {string} folder Unique folder that contains the app folder, it gets removed on `close` together with its parent folder if that is empty then
+   */
+  constructor(core, folder) {
+    /**
+     * @type {import("./").default}
+     */
+    this.core = core
+    /**
+     * @type {string}
+     */
+    this.folder = folder
+    const log = core.logger.log
+    core.logger.log = (level, ...fragments) => {
+      this.logLines.push({
+        level,
+        message: util.format(...core.redactLogFragments(core.addRequestContextToLog(fragments))),
+      })
+      return log.call(core.logger, level, ...fragments)
+    }
+  }
+
+  /**
+   * Creates and initializes a core, everything gets torn down again if `init` throws
+   * @param {typeof import("./").default} JaidCore
+   * @param {Partial<import("./").Options>} [options] `folder` gets replaced with a unique folder, `insecurePort` and `securePort` with random free ports, `insecurePort: false` disables the insecure server
+   * @param {Object} [plugins]
+   * @return {Promise<TestInstance>}
+   */
+  static async create(JaidCore, options = {}, plugins = {}) {
+    const folderId = crypto.randomUUID()
+    const core = new JaidCore({
+      name: "jaid-core-test",
+      version: "0.0.0",
+      memoryDatabase: true,
+      configEnvPrefix: false,
+      configArguments: false,
+      configReloadInterval: false,
+      selfSignedCertificate: true,
+      ...options,
+      folder: ["jaid-core-test", folderId],
+      insecurePort: options.insecurePort === false ? false : await getFreePort(),
+      securePort: options.securePort ? await getFreePort() : false,
+    })
+    const folder = path.dirname(core.appFolder)
+    if (path.basename(folder) !== folderId) {
+      throw new Error(`Unexpected app folder ${core.appFolder}, expected it to be inside of a folder named ${folderId}`)
+    }
+    const instance = new TestInstance(core, folder)
+    try {
+      await core.init(plugins)
+    } catch (error) {
+      await instance.close().catch(closeError => {
+        error.closeError = closeError
+      })
+      throw error
+    }
+    instance.request = await instance.createRequestClient()
+    return instance
+  }
+
+  /**
+   * @return {Promise<import("got").Got|null>}
+   */
+  async createRequestClient() {
+    if (!this.core.hasServer) {
+      return null
+    }
+    const {default: got} = await import(/* webpackIgnore: true */ "got")
+    const options = {
+      retry: {limit: 0},
+      throwHttpErrors: false,
+    }
+    if (this.core.hasInsecureServer) {
+      return got.extend({
+        ...options,
+        prefixUrl: `http://localhost:${this.core.config.insecurePort}`,
+      })
+    }
+    return got.extend({
+      ...options,
+      prefixUrl: `https://localhost:${this.core.config.securePort}`,
+      http2: this.core.options.http2,
+      https: {rejectUnauthorized: false},
+    })
+  }
+
+  /**
+   * @param {LogPattern} pattern
+   * @param {string} [level] Only returns log lines of this level
+   * @return {CapturedLogLine[]}
+   */
+  findLogs(pattern, level) {
+    return this.logLines.filter(line => {
+      if (level && line.level !== level) {
+        return false
+      }
+      return isString(pattern) ? line.message.includes(pattern) : pattern.test(line.message)
+    })
+  }
+
+  /**
+   * @param {LogPattern} pattern
+   * @param {string} [level]
+   * @return {boolean}
+   */
+  hasLog(pattern, level) {
+    return this.findLogs(pattern, level).length > 0
+  }
+
+  /**
+   * @param {string} description
+   * @return {string}
+   */
+  formatLogError(description) {
+    const lines = this.logLines.map(line => `  ${line.level}: ${line.message}`)
+    return `${description}, captured ${zahl(lines, "log line")}:\n${lines.join("\n")}`
+  }
+
+  /**
+   * Throws if no log line matches
+   * @param {LogPattern} pattern
+   * @param {string} [level]
+   */
+  assertLog(pattern, level) {
+    if (!this.hasLog(pattern, level)) {
+      throw new Error(this.formatLogError(`Expected a log line${level ? ` of level ${level}` : ""} matching ${pattern}`))
+    }
+  }
+
+  /**
+   * Throws if a log line matches
+   * @param {LogPattern} pattern
+   * @param {string} [level]
+   */
+  assertNoLog(pattern, level) {
+    if (this.hasLog(pattern, level)) {
+      throw new Error(this.formatLogError(`Expected no log line${level ? ` of level ${level}` : ""} matching ${pattern}`))
+    }
+  }
+
+  clearLogs() {
+    this.logLines = []
+  }
+
+  /**
+   * Calls a plugin hook like the core does in the corresponding lifecycle phase: in dependency order (reversed for the close hooks), with hook timeouts, and failed plugins are removed if they are not critical or make it throw if they are. The rest of the phase does not run
+   * @param {string} hookName Like `ready`, `preClose` or `handleEvent`
+   * @param {...*} args
+   * @return {Promise<Object<string, *>>} Results by plugin id
+   */
+  callHook(hookName, ...args) {
+    return this.core.runPluginHook(hookName, args, reversedHooks.includes(hookName), null)
+  }
+
+  /**
+   * Changes config entries like a live config reload would, the changes get validated and entries that need a restart are kept
+   * @param {Object<string, *>} changes
+   * @return {Promise<string[]>} Keys of the applied config entries
+   */
+  async changeConfig(changes) {
+    const newConfig = this.core.validateConfig({
+      ...this.core.loadedConfig,
+      ...changes,
+    })
+    return this.core.applyLoadedConfig(newConfig)
+  }
+
+  /**
+   * Closes the core and removes the temporary folder, also works if `init` failed
+   * @return {Promise<void>}
+   */
+  close() {
+    if (!this.closePromise) {
+      this.closePromise = this.runClose()
+    }
+    return this.closePromise
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async runClose() {
+    try {
+      await this.core.close()
+    } finally {
+      await fs.promises.rm(this.folder, {
+        recursive: true,
+        force: true,
+      })
+      await this.removeParentFolder()
+    }
+  }
+
+  /**
+   * Removes the `jaid-core-test` folder in the app data folder that contains the folders of all test instances, it is kept as long as other test instances use it
+   * @return {Promise<void>}
+   */
+  async removeParentFolder() {
+    try {
+      await fs.promises.rmdir(path.dirname(this.folder))
+    } catch (error) {
+      if (!["ENOTEMPTY", "EEXIST", "ENOENT"].includes(error.code)) {
+        throw error
+      }
+    }
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+import {setTimeout as sleep} from "node:timers/promises"
+
+/**
+ * Rate limiter that allows bursts of up to `capacity` requests and refills `capacity` tokens per `interval` milliseconds
+ * @class
+ */
+export default class TokenBucket {
+
+  /**
+   * @constructor
+   * @param {number} capacity
+   * @param {number} interval
+   */
+  constructor(capacity, interval) {
+    /**
+     * @type {number}
+     */
+    this.capacity = capacity
+    /**
+     * @type {number}
+     */
+    this.interval = interval
+    /**
+     * @type {number}
+     */
+    this.tokens = capacity
+    /**
+     * @type {number}
+     */
+    this.refilledAt = Date.now()
+  }
+
+  refill() {
+    const now = Date.now()
+    const tokens = this.tokens + (now - this.refilledAt) * this.capacity / this.interval
+    this.tokens = tokens > this.capacity ? this.capacity : tokens
+    this.refilledAt = now
+  }
+
+  /**
+   * Waits until a token is available and consumes it
+   * @return {Promise<void>}
+   */
+  async take() {
+    this.refill()
+    while (this.tokens < 1) {
+      await sleep((1 - this.tokens) * this.interval / this.capacity)
+      this.refill()
+    }
+    this.tokens--
+  }
+
+}
\ No newline at end of file
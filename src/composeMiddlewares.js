@@ -0,0 +1,14 @@
+/**
+ * Combines Koa middlewares into one, like koa-compose
+ * @param {import("koa").Middleware[]} middlewares
+ * @return {(context: import("koa").Context, next: Function) => Promise<void>}
+ */
+export default middlewares => async (context, next) => {
+  const dispatch = async index => {
+    if (index === middlewares.length) {
+      return next()
+    }
+    return middlewares[index](context, () => dispatch(index + 1))
+  }
+  await dispatch(0)
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+import crypto from "node:crypto"
+
+import {isEmpty} from "./lib/esm/has-content.js"
+
+/**
+ * @typedef {Object} HealthEndpointPaths
+ * @prop {string} [healthPath="/_health"]
+ * @prop {string} [readyPath="/_ready"]
+ * @prop {string} [metricsPath="/_metrics"]
+ */
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * @param {import("koa").Context} context
+ * @return {string|undefined}
+ */
+const getRequestToken = context => {
+  const authorization = context.get("Authorization")
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length)
+  }
+  return context.query.token
+}
+
+/**
+ * Creates a Koa middleware that answers liveness, readiness and metrics requests
+ * @param {import("./").default} core
+ * @param {HealthEndpointPaths} paths
+ * @return {import("koa").Middleware}
+ */
+export default (core, paths) => {
+  const {healthPath, readyPath, metricsPath} = {
+    healthPath: "/_health",
+    readyPath: "/_ready",
+    metricsPath: "/_metrics",
+    ...paths,
+  }
+  return async (context, next) => {
+    if (context.method !== "GET" || ![healthPath, readyPath, metricsPath].includes(context.path)) {
+      await next()
+      return
+    }
+    const token = core.config.healthToken
+    if (!isEmpty(token)) {
+      const requestToken = getRequestToken(context)
+      if (!requestToken || !safeEqual(requestToken, token)) {
+        context.status = 401
+        return
+      }
+    }
+    if (context.path === healthPath) {
+      context.status = core.isClosing ? 503 : 200
+      context.body = {
+        status: core.isClosing ? "closing" : "ok",
+        uptime: Date.now() - core.startTime.getTime(),
+      }
+      return
+    }
+    if (context.path === readyPath) {
+      const readiness = await core.getReadiness()
+      context.status = readiness.ready ? 200 : 503
+      context.body = readiness
+      return
+    }
+    context.type = "text/plain; version=0.0.4"
+    context.body = core.metrics.render()
+  }
+}
\ No newline at end of file
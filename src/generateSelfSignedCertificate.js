@@ -0,0 +1,79 @@
+import crypto from "node:crypto"
+import {promisify} from "node:util"
+
+import selfsigned from "selfsigned"
+
+const generateKeyPair = promisify(crypto.generateKeyPair)
+
+/**
+ * @typedef {Object} SelfSignedCertificate
+ * @prop {string} key PEM encoded private key
+ * @prop {string} cert PEM encoded certificate
+ */
+
+/**
+ * Generates a self-signed certificate for localhost, only meant for development
+ * @param {string} [commonName="localhost"]
+ * @param {number} [days=365]
+ * @return {Promise<SelfSignedCertificate>}
+ */
+export default async (commonName = "localhost", days = 365) => {
+  const keyPair = await generateKeyPair("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: {
+      type: "spki",
+      format: "pem",
+    },
+    privateKeyEncoding: {
+      type: "pkcs8",
+      format: "pem",
+    },
+  })
+  const attributes = [
+    {
+      name: "commonName",
+      value: commonName,
+    },
+  ]
+  const pems = selfsigned.generate(attributes, {
+    days,
+    algorithm: "sha256",
+    keyPair,
+    extensions: [
+      {
+        name: "basicConstraints",
+        cA: false,
+      },
+      {
+        name: "keyUsage",
+        digitalSignature: true,
+        keyEncipherment: true,
+      },
+      {
+        name: "extKeyUsage",
+        serverAuth: true,
+      },
+      {
+        name: "subjectAltName",
+        altNames: [
+          {
+            type: 2, // DNS
+            value: commonName,
+          },
+          {
+            type: 7, // IP
+            ip: "127.0.0.1",
+          },
+          {
+            type: 7, // IP
+            ip: "::1",
+          },
+        ],
+      },
+    ],
+  })
+  return {
+    key: pems.private,
+    cert: pems.cert,
+  }
+}
\ No newline at end of file
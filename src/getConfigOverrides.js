@@ -0,0 +1,75 @@
+import fs from "node:fs"
+
+import {snakeCase} from "lodash-es"
+
+/**
+ * @typedef {Object} ConfigOverride
+ * @prop {string} value
+ * @prop {string} source Human readable origin of the value, like `env MYAPP_DATABASE_HOST`
+ */
+
+/**
+ * @typedef {Object} ConfigOverridesResult
+ * @prop {Object<string, ConfigOverride>} overrides
+ * @prop {string[]} unknownArgumentKeys Keys of `--config.` arguments that do not belong to any config entry
+ */
+
+/**
+ * @param {string} key
+ * @return {string}
+ */
+const toEnvName = key => snakeCase(key).toUpperCase()
+
+/**
+ * Collects config values from CLI arguments (`--config.databaseHost=db`), environment variables (`MYAPP_DATABASE_HOST=db`) and files referenced by environment variables (`MYAPP_DATABASE_PASSWORD_FILE=/run/secrets/password`), in this order of precedence
+ * @param {string[]} keys Known config keys
+ * @param {Object} context
+ * @param {string|false} context.envPrefix Prefix of environment variable names without trailing underscore, `false` disables environment variables
+ * @param {Object<string, string>} context.env
+ * @param {string[]} context.argv
+ * @return {Promise<ConfigOverridesResult>}
+ */
+export default async (keys, {envPrefix, env, argv}) => {
+  const overrides = {}
+  const unknownArgumentKeys = []
+  if (envPrefix) {
+    const prefix = toEnvName(envPrefix)
+    for (const key of keys) {
+      const envName = `${prefix}_${toEnvName(key)}`
+      if (env[envName] !== undefined) {
+        overrides[key] = {
+          value: env[envName],
+          source: `env ${envName}`,
+        }
+        continue
+      }
+      const fileEnvName = `${envName}_FILE`
+      if (env[fileEnvName] !== undefined) {
+        const fileContent = await fs.promises.readFile(env[fileEnvName], "utf8")
+        overrides[key] = {
+          value: fileContent.replace(/\r?\n$/, ""),
+          source: `file ${env[fileEnvName]} from env ${fileEnvName}`,
+        }
+      }
+    }
+  }
+  for (const argument of argv) {
+    const match = /^--config\.(?<key>[^=]+)(?:=(?<value>.*))?$/s.exec(argument)
+    if (!match) {
+      continue
+    }
+    const {key, value} = match.groups
+    if (!keys.includes(key)) {
+      unknownArgumentKeys.push(key)
+      continue
+    }
+    overrides[key] = {
+      value: value ?? "true",
+      source: `argument --config.${key}`,
+    }
+  }
+  return {
+    overrides,
+    unknownArgumentKeys,
+  }
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+import net from "node:net"
+
+/**
+ * Asks the operating system for a random free port, another process could take it before it is used
+ * @return {Promise<number>}
+ */
+export default () => new Promise((resolve, reject) => {
+  const server = net.createServer()
+  server.unref()
+  server.on("error", reject)
+  server.listen(0, () => {
+    const {port} = server.address()
+    server.close(() => {
+      resolve(port)
+    })
+  })
+})
\ No newline at end of file
@@ -1,31 +1,71 @@
 /** @module jaid-core */
 
+import {AsyncLocalStorage} from "node:async_hooks"
+import crypto from "node:crypto"
+import fs from "node:fs"
+import {ServerResponse, STATUS_CODES} from "node:http"
 import path from "node:path"
+import {setTimeout as sleep} from "node:timers/promises"
+import util from "node:util"
 
 import camelCase from "camelcase"
 import chalk from "chalk"
-import cropString from "crop-string"
 import ensureArray from "ensure-array"
 import isClass from "is-class"
-import {isFunction, isString, uniq} from "lodash-es"
+import {isEqual, isFunction, isNumber, isString, snakeCase, uniq, upperFirst} from "lodash-es"
 import pify from "pify"
-import preventStart from "prevent-start"
 import readableMs from "readable-ms"
 import sortKeys from "sort-keys"
 
+import composeMiddlewares from "./composeMiddlewares.js"
+import createHealthMiddleware from "./createHealthMiddleware.js"
+import DatabaseSessionStore from "./DatabaseSessionStore.js"
+import EventBus from "./EventBus.js"
+import generateSelfSignedCertificate from "./generateSelfSignedCertificate.js"
+import getConfigOverrides from "./getConfigOverrides.js"
+import GotRecorder from "./GotRecorder.js"
+import HttpError from "./HttpError.js"
+import HttpPolicies from "./HttpPolicies.js"
 import JaidCorePlugin from "./JaidCorePlugin.js"
+import JobQueue from "./JobQueue.js"
+import JobScheduler from "./JobScheduler.js"
+import cropString from "./lib/esm/crop-string.js"
 import ensureEnd from "./lib/esm/ensure-end.js"
 import essentialConfig from "./lib/esm/essential-config.js"
 import hasContent, {isEmpty} from "./lib/esm/has-content.js"
 import jaidLogger from "./lib/esm/jaid-logger.js"
+import preventStart from "./lib/esm/prevent-start.js"
 import zahl from "./lib/esm/zahl.js"
+import LifecycleReport from "./LifecycleReport.js"
+import MemoryHttpCache from "./MemoryHttpCache.js"
+import MemorySessionStore from "./MemorySessionStore.js"
+import Metrics from "./Metrics.js"
+import Migrator from "./Migrator.js"
+import respondWithProblem from "./respondWithProblem.js"
+import Router from "./Router.js"
+import SecretStore from "./SecretStore.js"
+import Seeder from "./Seeder.js"
+import ServiceRegistry from "./ServiceRegistry.js"
+import sortPlugins from "./sortPlugins.js"
+import SqliteHttpCache from "./SqliteHttpCache.js"
+import validateConfig from "./validateConfig.js"
+
+/**
+ * @typedef {Object} ConfigSetupExtension
+ * @prop {Object<string, import("./validateConfig.js").ConfigSchema>} [schema]
+ * @prop {string[]} [staticKeys] Config keys that can not be changed without restart
+ */
+
+/**
+ * @typedef {import("essential-config").Options & ConfigSetupExtension} ConfigSetup
+ */
 
 /**
  * @typedef {Object} Options
  * @prop {string} name
  * @prop {string|string[]} [folder]
  * @prop {string} version
- * @prop {import("essential-config").Options} configSetup
+ * @prop {ConfigSetup} configSetup
  * @prop {boolean|string} database
  * @prop {import("sequelize").Options} sequelizeOptions
  * @prop {number} insecurePort
@@ -34,10 +74,74 @@ import zahl from "./lib/esm/zahl.js"
  * @prop {"error"|"warn"|"info"|"debug"|"silly"} [serverLogLevel="debug"]
  * @prop {"error"|"warn"|"info"|"debug"|"silly"} [databaseLogLevel="debug"]
  * @prop {"error"|"warn"|"info"|"debug"|"silly"} [gotLogLevel="debug"]
+ * @prop {"error"|"warn"|"info"|"debug"|"silly"} [jobLogLevel="debug"] Level of the log lines of successful job runs
  * @prop {boolean} [useGot=true]
+ * @prop {boolean|GotCacheOptions} [gotCache=false] Caches responses of `core.got` requests according to their `Cache-Control` and `ETag` headers
+ * @prop {"live"|"record"|"replay"} [gotMode="live"] `record` writes all `core.got` responses to fixture files, `replay` serves them from these files without network access, defaults to the environment variable `JAID_CORE_GOT_MODE`
+ * @prop {GotFixturesOptions} [gotFixtures]
  * @prop {boolean} [sqlite=false]
  * @prop {string[]|string|false} [databaseExtensions=false]
- * @prop {boolean|Object} [koaSession]
+ * @prop {Object<string, DatabaseConnectionOptions>} [databases] Named database connections in addition to the default connection of `database` and `sqlite`
+ * @prop {boolean} [memoryDatabase=false] If `true`, all database connections use in-memory SQLite databases, meant for tests
+ * @prop {string|string[]|false} [fixtures=false] Fixture files or folders that get loaded into the databases after the seeds, implies `memoryDatabase`, meant for tests
+ * @prop {boolean|KoaSessionOptions} [koaSession] Enables sessions, `maxAge`, `renew` and `sameSite` are taken from the config
+ * @prop {number} [sessionCleanupInterval=3600000] Milliseconds between removals of expired sessions from the session store
+ * @prop {boolean|SocketsOptions} [sockets=false] Attaches a socket.io server to the insecure and secure server
+ * @prop {boolean} [jobQueue=false] Enables `enqueueJob`, queued jobs are stored in the model `JaidCoreJob` of the core database
+ * @prop {number} [jobPollInterval=1000] Milliseconds between checks for due queued jobs
+ * @prop {number} [jobLockTimeout=600000] Milliseconds after which a queued job that is still marked as running is considered interrupted and gets requeued on the next start
+ * @prop {number} [tlsReloadInterval=10000] Milliseconds between checks for changed TLS files
+ * @prop {boolean} [selfSignedCertificate] If `true`, the secure server uses a generated self-signed certificate while `tlsKeyPath` or `tlsCertPath` is not set, defaults to `true` if `NODE_ENV` is not `production`
+ * @prop {boolean} [handleSignals=false] If `true`, SIGINT and SIGTERM trigger `close()`
+ * @prop {number} [shutdownTimeout=10000] Milliseconds to wait for running requests on `close()` before remaining connections get destroyed
+ * @prop {boolean|import("./createHealthMiddleware.js").HealthEndpointPaths} [healthEndpoints=false] Adds liveness, readiness and metrics endpoints to Koa
+ * @prop {"error"|"warn"|"info"|"debug"|"silly"} [lifecycleReportLogLevel="debug"]
+ * @prop {boolean} [lifecycleTrace=false] If `true`, the startup timings get written to the log folder as Chrome trace event file
+ * @prop {number|Object<string, number>|null} [hookTimeout=null] Milliseconds after which a plugin hook call counts as failed, can also be an object with hook names as keys, `null` waits without limit
+ * @prop {string|false} [configEnvPrefix] Prefix of environment variables that override config entries, defaults to the app name (`MY_APP_DATABASE_HOST` for app name `my-app`), `false` disables environment variables
+ * @prop {boolean} [configArguments=true] If `true`, `--config.key=value` CLI arguments override config entries
+ * @prop {number|false} [configReloadInterval=2000] Milliseconds between checks for changed config files after `ready`, `false` disables live config reloading
+ * @prop {boolean} [secretStore=false] If `true`, secret config entries are stored encrypted in the app folder instead of `secrets.yml`
+ * @prop {string} [secretStoreKeyFile] File containing the master key of the secret store, only used if the environment variable `<configEnvPrefix>_MASTER_KEY` is not set, defaults to `master.key` in the app folder
+ * @prop {boolean} [errorStacks] If `true`, problem responses of failed requests contain the error message and stack, defaults to `true` if `NODE_ENV` is `development`
+ */
+
+/**
+ * @typedef {Object} ErrorClassMapping
+ * @prop {number} status
+ * @prop {string} [title] Defaults to the status text
+ * @prop {string} [type] URI of the problem type, defaults to `about:blank`
+ * @prop {boolean} [expose] If `true`, the error message is sent to clients as `detail`, defaults to `true` for statuses lower than 500
+ */
+
+/**
+ * @typedef {Object} GotCacheOptions
+ * @prop {"memory"|"sqlite"|Object} [store="memory"] `sqlite` stores responses in `httpCache.sqlite` in the app folder, an object is used as Keyv-compatible store
+ * @prop {number} [maxEntries=1000] Maximum number of responses in the `memory` store, the least recently used ones get removed first
+ */
+
+/**
+ * @typedef {Object} GotFixturesOptions
+ * @prop {string} [folder] Defaults to `gotFixtures` in the app folder
+ * @prop {import("./GotRecorder.js").FixtureMatchField[]} [match=["method", "url", "body"]] Request properties that have to be equal for a recorded response to be replayed
+ * @prop {string[]} [redactHeaders=["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"]] Headers whose values are not written to fixture files
+ */
+
+/**
+ * @typedef {Object} KoaSessionOptions
+ * @prop {"cookie"|"database"|"memory"|Object} [store="cookie"] Where session data is kept, `database` registers the model `JaidCoreSession`, an object is used as custom koa-session store
+ */
+
+/**
+ * @typedef {Object} DatabaseConnectionOptions
+ * @prop {boolean|string} [database] Database name, or file name if `sqlite` is `true`, defaults to the app name for Postgres and to `<connection name>.sqlite` for SQLite
+ * @prop {boolean} [sqlite=false]
+ * @prop {import("sequelize").Options} [sequelizeOptions]
+ */
+
+/**
+ * @typedef {Object} SocketsOptions
+ * @prop {"default"|"msgpack"|Object} [parser="default"] `msgpack` needs the package `socket.io-msgpack-parser`, an object is used as custom socket.io parser
  */
 
 /**
@@ -47,13 +151,21 @@ import zahl from "./lib/esm/zahl.js"
  * @prop {string} databaseUser
  * @prop {string} databaseHost
  * @prop {number} databasePort
- * @prop {"alter"|"sync"|"force"|false} databaseSchemaSync
+ * @prop {"alter"|"sync"|"force"|"migrate"|false} databaseSchemaSync
  * @prop {string} timezone
  * @prop {number} insecurePort
  * @prop {number} securePort
  * @prop {string} databasePath
  * @prop {string[]|string} koaKeys
  * @prop {string[]|string} disabledPlugins
+ * @prop {string} tlsKeyPath
+ * @prop {string} tlsCertPath
+ * @prop {string} tlsCaPath
+ * @prop {string} healthToken
+ * @prop {number} sessionMaxAge
+ * @prop {boolean} sessionRenew
+ * @prop {"lax"|"strict"|"none"} sessionSameSite
+ * @prop {Object<string, import("./HttpPolicies.js").HttpPolicy>} httpPolicies Policies for `core.got` requests, keyed by host or client name, `*` applies to all requests
  */
 
 /**
@@ -61,15 +173,28 @@ import zahl from "./lib/esm/zahl.js"
  * @prop {import("sequelize").ModelAttributes} schema
  * @prop {import("sequelize").IndexesOptions[]} indexes
  * @prop {typeof import("sequelize").Model} default
+ * @prop {string} [connection="default"] Name of the database connection the model is registered on
  */
 
-export {JaidCorePlugin}
+export {HttpError, JaidCorePlugin}
 
 /**
  * @class
  */
 export default class JaidCore {
 
+  /**
+   * Creates and initializes a core for tests, with a temporary app folder that is removed on `close`, in-memory databases, random free ports and captured log lines
+   * @param {Partial<Options>} [options]
+   * @param {Object} [plugins]
+   * @return {Promise<import("./TestInstance.js").default>}
+   */
+  static async createTestInstance(options, plugins) {
+    // Evaluated on demand only, eager mode keeps it in the main chunk, because the package is shipped as a single file
+    const {default: TestInstance} = await import(/* webpackMode: "eager" */ "./TestInstance.js")
+    return TestInstance.create(this, options, plugins)
+  }
+
   /**
    * @constructor
    * @param {Options} options
@@ -92,18 +217,62 @@ export default class JaidCore {
       serverLogLevel: this.defaultLogLevel,
       databaseLogLevel: this.defaultLogLevel,
       gotLogLevel: this.defaultLogLevel,
+      jobLogLevel: this.defaultLogLevel,
+      lifecycleReportLogLevel: this.defaultLogLevel,
+      lifecycleTrace: false,
+      hookTimeout: null,
       configSetup: {},
       useGot: false,
+      gotCache: false,
+      gotMode: process.env.JAID_CORE_GOT_MODE || "live",
+      gotFixtures: {},
       sqlite: false,
       databaseExtenions: false,
+      databases: {},
+      memoryDatabase: false,
+      fixtures: false,
       koaSession: false,
+      sockets: false,
+      sessionCleanupInterval: 3_600_000,
+      jobQueue: false,
+      jobPollInterval: 1000,
+      jobLockTimeout: 600_000,
       koaKeys: false,
+      tlsReloadInterval: 10_000,
+      selfSignedCertificate: process.env.NODE_ENV !== "production",
+      handleSignals: false,
+      shutdownTimeout: 10_000,
+      healthEndpoints: false,
+      configEnvPrefix: null,
+      configArguments: true,
+      configReloadInterval: 2000,
+      secretStore: false,
+      secretStoreKeyFile: null,
+      errorStacks: process.env.NODE_ENV === "development",
       ...options,
     }
     /**
      * @type {boolean}
      */
-    this.hasDatabase = Boolean(this.options.database || this.options.sqlite)
+    this.hasDatabase = Boolean(this.options.database || this.options.sqlite || this.options.fixtures)
+    /**
+     * Options of all database connections by name, the default connection is called `default`
+     * @type {Object<string, DatabaseConnectionOptions>}
+     */
+    this.databaseConnections = {}
+    if (this.hasDatabase) {
+      this.databaseConnections.default = {
+        database: this.options.database,
+        sqlite: this.options.sqlite || !this.options.database,
+        sequelizeOptions: this.options.sequelizeOptions,
+      }
+    }
+    for (const [connectionName, connectionOptions] of Object.entries(this.options.databases)) {
+      if (connectionName === "default" || !/^[a-z][\dA-Za-z]*$/.test(connectionName)) {
+        throw new Error(`Invalid database connection name ${connectionName}, expected a camel case name other than "default"`)
+      }
+      this.databaseConnections[connectionName] = connectionOptions
+    }
     /**
      * @type {boolean}
      */
@@ -128,14 +297,30 @@ export default class JaidCore {
      * @type {import("jaid-logger").JaidLogger}
      */
     this.logger = jaidLogger(this.appPath)
+    /**
+     * Values of secret config entries that get replaced in log lines
+     * @type {string[]}
+     */
+    this.redactedValues = []
+    /**
+     * Context of the Koa request that is currently being handled, contains `requestId` and fields added with `addRequestContext`
+     * @type {AsyncLocalStorage<Object<string, *>>}
+     */
+    this.requestContext = new AsyncLocalStorage
     const tempLog = this.logger.log
-    this.logger.log = async (...args) => {
-      tempLog.apply(this.logger, args)
+    this.logger.log = async (level, ...messageFragments) => {
+      const fragments = this.redactLogFragments(this.addRequestContextToLog(messageFragments))
+      tempLog.call(this.logger, level, ...fragments)
       if (this.hasPlugins) {
-        const [level, ...fragments] = args
         await this.callPlugins("handleLog", level, fragments)
       }
     }
+    for (const level of Object.keys(this.logger.levels)) {
+      this.logger[level] = (...fragments) => {
+        this.logger.log(level, ...fragments)
+        return this.logger
+      }
+    }
     /**
      * @type {string}
      */
@@ -161,9 +346,70 @@ export default class JaidCore {
      */
     this.plugins = {}
     /**
+     * Plugin ids sorted by their declared dependencies
+     * @type {string[]}
+     */
+    this.pluginOrder = []
+    /**
+     * @type {Object<string, string[]>}
+     */
+    this.pluginDependencies = {}
+    /**
+     * @type {Object<string, string[]>}
+     */
+    this.pluginRequiredDependencies = {}
+    /**
+     * Hook failures of plugins that have been removed because they are not critical
+     * @type {PluginFailure[]}
+     */
+    this.pluginFailures = []
+    /**
+     * The values plugins have been created from (classes or instances), needed for reloading
+     * @type {Object<string, Object|Function>}
+     */
+    this.pluginSources = {}
+    /**
+     * Koa middlewares registered with `registerMiddleware`, can be detached when their plugin gets removed
+     * @type {{pluginId: string, middleware: import("koa").Middleware}[]}
+     */
+    this.pluginMiddlewares = []
+    /**
+     * Routes collected with the `collectRoutes` hook
+     * @type {Router}
+     */
+    this.router = new Router
+    /**
+     * Status mappings of error classes registered with `registerErrorClass`
+     * @type {Map<Function, ErrorClassMapping>}
+     */
+    this.errorClasses = new Map
+    /**
+     * @type {typeof import("sequelize")}
+     */
+    this.Sequelize = null
+    /**
+     * Connection of the core options `database` and `sqlite`, same as `databases.default`
      * @type {import("sequelize").Sequelize}
      */
     this.database = null
+    /**
+     * All database connections by name
+     * @type {Object<string, import("sequelize").Sequelize>}
+     */
+    this.databases = {}
+    /**
+     * Names of the models that plugins registered on named connections, by plugin id
+     * @type {Object<string, string[]>}
+     */
+    this.namedConnectionModels = {}
+    /**
+     * @type {Migrator}
+     */
+    this.migrator = null
+    /**
+     * @type {Seeder}
+     */
+    this.seeder = null
     /**
      * @type {import("koa")}
      */
@@ -172,6 +418,29 @@ export default class JaidCore {
      * @type {import("got").GotInstance}
      */
     this.got = null
+    /**
+     * Retry, concurrency, rate limit and circuit breaker state of `core.got` requests
+     * @type {HttpPolicies}
+     */
+    this.httpPolicies = new HttpPolicies(() => this.config.httpPolicies, (key, state, previousState) => {
+      const level = state === "open" ? "warn" : "info"
+      this.logger.log(level, "Circuit breaker of %s changed from %s to %s", key, previousState, state)
+    })
+    /**
+     * Store of the got cache, only set if `options.gotCache` is enabled
+     * @type {MemoryHttpCache|SqliteHttpCache|Object}
+     */
+    this.httpCache = null
+    /**
+     * Only set if `options.gotMode` is `record` or `replay`
+     * @type {GotRecorder}
+     */
+    this.gotRecorder = null
+    /**
+     * Clients registered with `registerHttpClient`
+     * @type {Object<string, import("got").GotInstance>}
+     */
+    this.httpClients = {}
     /**
      * @type {require("http2").Http2Server}
      */
@@ -181,14 +450,153 @@ export default class JaidCore {
      */
     this.secureServer = null
     /**
-     * @type {import("essential-config").Options}
+     * `null` if the core option `sockets` is not enabled
+     * @type {import("socket.io").Server}
+     */
+    this.socketServer = null
+    /**
+     * engine.io servers of `socketServer`, one for each HTTP server
+     * @type {import("engine.io").Server[]}
+     */
+    this.socketEngines = []
+    /**
+     * All namespaces of `socketServer`, including the ones created by parent namespaces
+     * @type {Set<import("socket.io").Namespace>}
+     */
+    this.socketNamespaces = new Set
+    /**
+     * koa-session middleware, also used to load sessions for socket.io handshakes
+     * @type {import("koa").Middleware}
+     */
+    this.sessionMiddleware = null
+    /**
+     * @type {ConfigSetup}
      */
     this.configSetup = null
+    /**
+     * Plugin ids by config key, `null` for keys of the core
+     * @type {Object<string, string|null>}
+     */
+    this.configKeyOwners = {}
+    /**
+     * @type {string}
+     */
+    this.configFolder = null
+    /**
+     * @type {string[]}
+     */
+    this.configFiles = []
+    /**
+     * @type {Promise<string[]>}
+     */
+    this.configReloadPromise = null
+    /**
+     * Only set if `options.secretStore` is `true`
+     * @type {SecretStore}
+     */
+    this.secrets = null
+    /**
+     * Config as it has been loaded from the files the last time, including entries that can only be applied with a restart
+     * @type {Object<string, *>}
+     */
+    this.loadedConfig = null
+    /**
+     * Files the secure server's TLS context has been loaded from, watched for changes
+     * @type {string[]}
+     */
+    this.tlsFiles = []
+    /**
+     * @type {string[]}
+     */
+    this.watchedTlsFiles = []
+    /**
+     * Open sockets of the insecure and secure server
+     * @type {Set<import("net").Socket>}
+     */
+    this.sockets = new Set
+    /**
+     * @type {Set<import("http2").Http2Session>}
+     */
+    this.http2Sessions = new Set
+    /**
+     * Number of Koa requests that are currently being handled
+     * @type {number}
+     */
+    this.activeRequests = 0
+    /**
+     * @type {boolean}
+     */
+    this.isClosing = false
+    /**
+     * @type {Promise<void>}
+     */
+    this.closePromise = null
+    /**
+     * @type {Object<string, Function>}
+     */
+    this.signalHandlers = {}
+    /**
+     * External koa-session store, `null` if sessions are stored in cookies
+     * @type {MemorySessionStore|DatabaseSessionStore|Object}
+     */
+    this.sessionStore = null
+    /**
+     * @type {NodeJS.Timeout}
+     */
+    this.sessionCleanupInterval = null
+    /**
+     * Becomes `true` after the `ready` hooks have been called
+     * @type {boolean}
+     */
+    this.isReady = false
+    /**
+     * @type {Object<string, {pluginId: string, check: Function}>}
+     */
+    this.healthChecks = {}
+    /**
+     * Jobs collected with the `collectJobs` hook
+     * @type {JobScheduler}
+     */
+    this.jobScheduler = new JobScheduler(this)
+    /**
+     * `null` if the core option `jobQueue` is not enabled
+     * @type {JobQueue}
+     */
+    this.jobQueue = null
+    /**
+     * Events are also passed to the `handleEvent` hook of plugins
+     * @type {EventBus<Object<string, *>>}
+     */
+    this.events = new EventBus(async (eventName, payload) => {
+      if (this.hasPlugins) {
+        await this.callPlugins("handleEvent", eventName, payload)
+      }
+    })
+    /**
+     * @type {ServiceRegistry}
+     */
+    this.services = new ServiceRegistry
+    /**
+     * @type {Metrics}
+     */
+    this.metrics = new Metrics
+    this.metrics.addCounter("http_requests_total", "Number of handled Koa requests")
+    this.metrics.addHistogram("http_request_duration_seconds", "Duration of handled Koa requests")
+    this.metrics.addCounter("got_requests_total", "Number of finished requests made with core.got")
+    this.metrics.addHistogram("got_request_duration_seconds", "Duration of finished requests made with core.got")
+    this.metrics.addHistogram("plugin_hook_duration_seconds", "Duration of plugin hook calls")
+    this.metrics.addCounter("job_runs_total", "Number of finished job runs")
+    this.metrics.addHistogram("job_run_duration_seconds", "Duration of finished job runs")
+    /**
+     * Timings of all core phases and plugin hooks until `ready`
+     * @type {LifecycleReport}
+     */
+    this.lifecycleReport = new LifecycleReport(this.startTime)
   }
 
   getConfigSetup() {
     /**
-     * @type {import("essential-config").Options}
+     * @type {ConfigSetup}
      */
     const configSetup = {
       fields: {},
@@ -196,13 +604,37 @@ export default class JaidCore {
         disabledPlugins: [],
       },
       secretKeys: [],
+      staticKeys: [],
+      schema: {
+        disabledPlugins: {
+          type: "array",
+          items: {type: "string"},
+        },
+      },
     }
-    if (this.hasDatabase) {
+    const portSchema = {
+      type: "integer",
+      minimum: 0,
+      maximum: 65_535,
+    }
+    for (const [connectionName, connectionOptions] of Object.entries(this.databaseConnections)) {
+      const key = name => this.getDatabaseConfigKey(connectionName, name)
       Object.assign(configSetup.defaults, {
-        databaseSchemaSync: "sync",
+        [key("schemaSync")]: "sync",
       })
-      if (this.options.sqlite) {
-        const sqliteName = ensureEnd(isString(this.options.database) ? this.options.database : "database", ".sqlite")
+      configSetup.schema[key("schemaSync")] = {
+        enum: connectionName === "default" ? ["sync", "alter", "force", "migrate", false] : ["sync", "alter", "force", false],
+      }
+      configSetup.staticKeys.push(...["schemaSync", "path", "name", "user", "dialect", "host", "port", "password", "timezone"].map(key))
+      if (connectionOptions.sqlite) {
+        let sqliteName
+        if (isString(connectionOptions.database)) {
+          sqliteName = ensureEnd(connectionOptions.database, ".sqlite")
+        } else if (connectionName === "default") {
+          sqliteName = "database.sqlite"
+        } else {
+          sqliteName = `${connectionName}.sqlite`
+        }
         let databasePath
         if (path.isAbsolute(sqliteName)) {
           databasePath = sqliteName
@@ -210,37 +642,102 @@ export default class JaidCore {
           databasePath = path.join(this.appFolder, sqliteName)
         }
         Object.assign(configSetup.defaults, {
-          databasePath,
+          [key("path")]: databasePath,
         })
+        configSetup.schema[key("path")] = {type: "string"}
       } else {
         Object.assign(configSetup.defaults, {
-          databaseName: isString(this.options.database) ? this.options.database : this.camelName,
-          databaseUser: "postgres",
-          databaseDialect: "postgres",
-          databaseHost: "localhost",
-          databasePort: 5432,
-          timezone: "Europe/Berlin",
+          [key("name")]: isString(connectionOptions.database) ? connectionOptions.database : this.camelName,
+          [key("user")]: "postgres",
+          [key("dialect")]: "postgres",
+          [key("host")]: "localhost",
+          [key("port")]: 5432,
+          [key("timezone")]: "Europe/Berlin",
+        })
+        Object.assign(configSetup.schema, {
+          [key("name")]: {type: "string"},
+          [key("user")]: {type: "string"},
+          [key("dialect")]: {
+            enum: ["postgres", "mysql", "mariadb", "mssql", "sqlite"],
+          },
+          [key("host")]: {type: "string"},
+          [key("port")]: portSchema,
+          [key("password")]: {type: "string"},
+          [key("timezone")]: {type: "string"},
         })
-        configSetup.secretKeys.push("databasePassword")
+        configSetup.secretKeys.push(key("password"))
       }
     }
     if (this.hasInsecureServer) {
       Object.assign(configSetup.defaults, {
         insecurePort: this.options.insecurePort,
       })
+      configSetup.schema.insecurePort = portSchema
+      configSetup.staticKeys.push("insecurePort")
     }
     if (this.hasSecureServer) {
       Object.assign(configSetup.defaults, {
         securePort: this.options.securePort,
+        tlsKeyPath: null,
+        tlsCertPath: null,
+        tlsCaPath: null,
       })
+      Object.assign(configSetup.schema, {
+        securePort: portSchema,
+        tlsKeyPath: {type: ["string", "null"]},
+        tlsCertPath: {type: ["string", "null"]},
+        tlsCaPath: {type: ["string", "null"]},
+      })
+      configSetup.staticKeys.push("securePort")
     }
     if (this.hasServer && this.options.koaSession) {
       configSetup.secretKeys.push("koaKeys")
+      configSetup.schema.koaKeys = {
+        type: "array",
+        items: {type: "string"},
+      }
+      Object.assign(configSetup.defaults, {
+        sessionMaxAge: 86_400_000,
+        sessionRenew: false,
+        sessionSameSite: "lax",
+      })
+      Object.assign(configSetup.schema, {
+        sessionMaxAge: {
+          type: "integer",
+          minimum: 1,
+        },
+        sessionRenew: {type: "boolean"},
+        sessionSameSite: {
+          enum: ["lax", "strict", "none"],
+        },
+      })
+      configSetup.staticKeys.push("koaKeys", "sessionMaxAge", "sessionRenew", "sessionSameSite")
+    }
+    if (this.options.useGot) {
+      configSetup.schema.httpPolicies = {type: "object"}
+    }
+    if (this.hasServer && this.options.healthEndpoints) {
+      configSetup.secretKeys.push("healthToken")
+      configSetup.schema.healthToken = {type: "string"}
     }
     return configSetup
   }
 
-  applyConfigSetup(additionalConfigSetup) {
+  /**
+   * @param {ConfigSetup} additionalConfigSetup
+   * @param {string} [ownerId] Plugin that the config keys belong to
+   */
+  applyConfigSetup(additionalConfigSetup, ownerId) {
+    const keys = [
+      ...Object.keys(additionalConfigSetup?.fields || {}),
+      ...Object.keys(additionalConfigSetup?.defaults || {}),
+      ...additionalConfigSetup?.secretKeys || [],
+      ...Object.keys(additionalConfigSetup?.schema || {}),
+      ...additionalConfigSetup?.staticKeys || [],
+    ]
+    for (const key of keys) {
+      this.configKeyOwners[key] = ownerId ?? null
+    }
     if (hasContent(additionalConfigSetup?.fields)) {
       Object.assign(this.configSetup.fields, additionalConfigSetup.fields)
     }
@@ -250,103 +747,1376 @@ export default class JaidCore {
     if (hasContent(additionalConfigSetup?.secretKeys)) {
       Array.prototype.push.apply(this.configSetup.secretKeys, additionalConfigSetup.secretKeys)
     }
+    if (hasContent(additionalConfigSetup?.schema)) {
+      Object.assign(this.configSetup.schema, additionalConfigSetup.schema)
+    }
+    if (hasContent(additionalConfigSetup?.staticKeys)) {
+      Array.prototype.push.apply(this.configSetup.staticKeys, additionalConfigSetup.staticKeys)
+    }
   }
 
   /**
-   * @param {string} modelName
-   * @param {SequelizeDefinition} definition
+   * @return {string|false}
    */
-  registerModel(modelName, definition) {
-    const schema = sortKeys(definition.schema)
-    definition.default.init(schema, {
-      modelName,
-      sequelize: this.database,
-      indexes: definition.indexes,
-      ...definition.modelOptions,
+  getEnvPrefix() {
+    return this.options.configEnvPrefix ?? this.camelName
+  }
+
+  /**
+   * @param {string} value
+   * @return {string} The value with all secret config values replaced by `[redacted]`
+   */
+  redactString(value) {
+    let redactedValue = value
+    for (const secretValue of this.redactedValues) {
+      redactedValue = redactedValue.replaceAll(secretValue, "[redacted]")
+    }
+    return redactedValue
+  }
+
+  /**
+   * @param {Array} fragments Message and format arguments of a log call
+   * @return {Array}
+   */
+  redactLogFragments(fragments) {
+    if (!this.redactedValues.length) {
+      return fragments
+    }
+    const message = util.format(...fragments)
+    const redactedMessage = this.redactString(message)
+    if (redactedMessage === message) {
+      return fragments
+    }
+    return [redactedMessage]
+  }
+
+  /**
+   * Prepends the fields of the current request context to a log line, like `[requestId=abc userId=5]`
+   * @param {Array} fragments
+   * @return {Array}
+   */
+  addRequestContextToLog(fragments) {
+    const store = this.requestContext.getStore()
+    if (!store) {
+      return fragments
+    }
+    const fields = Object.entries(store).map(([key, value]) => `${key}=${String(value).replaceAll("%", "%%")}`)
+    const prefix = `[${fields.join(" ")}]`
+    if (isString(fragments[0])) {
+      return [`${prefix} ${fragments[0]}`, ...fragments.slice(1)]
+    }
+    return [prefix, ...fragments]
+  }
+
+  /**
+   * @return {Object<string, *>|undefined} Context of the Koa request that is currently being handled
+   */
+  getRequestContext() {
+    return this.requestContext.getStore()
+  }
+
+  /**
+   * Adds fields to the context of the Koa request that is currently being handled, they are included in all following log lines of this request
+   * @param {Object<string, *>} fields
+   * @return {boolean} `false` if there is no request being handled
+   */
+  addRequestContext(fields) {
+    const store = this.requestContext.getStore()
+    if (!store) {
+      return false
+    }
+    Object.assign(store, fields)
+    return true
+  }
+
+  updateRedactedValues() {
+    const values = this.configSetup.secretKeys.flatMap(key => ensureArray(this.config[key]))
+    if (this.secrets) {
+      values.push(this.secrets.masterKey, ...this.secrets.getAllStrings())
+    }
+    this.redactedValues = uniq(values.filter(value => isString(value) && value.length >= 4))
+  }
+
+  /**
+   * @return {Promise<SecretStore>}
+   */
+  async openSecretStore() {
+    const envPrefix = this.getEnvPrefix()
+    const envName = envPrefix ? `${snakeCase(envPrefix).toUpperCase()}_MASTER_KEY` : null
+    let masterKey = envName ? process.env[envName] : undefined
+    if (isEmpty(masterKey)) {
+      const keyFile = this.options.secretStoreKeyFile || path.join(this.appFolder, "master.key")
+      try {
+        const keyFileContent = await fs.promises.readFile(keyFile, "utf8")
+        masterKey = keyFileContent.trim()
+      } catch (error) {
+        if (error.code !== "ENOENT" || this.options.secretStoreKeyFile) {
+          throw error
+        }
+        masterKey = SecretStore.generateSecret()
+        await fs.promises.mkdir(path.dirname(keyFile), {recursive: true})
+        await fs.promises.writeFile(keyFile, masterKey, {mode: 0o600})
+        if (envName) {
+          this.logger.warn("Generated master key file %s for the secret store, better provide the master key with the environment variable %s", keyFile, envName)
+        } else {
+          this.logger.warn("Generated master key file %s for the secret store, better provide the master key with the core option secretStoreKeyFile, because environment variables are disabled", keyFile)
+        }
+      }
+    }
+    const secretStore = new SecretStore(path.join(this.appFolder, "secrets.enc.json"), masterKey, (name, value) => this.handleSecretChange(name, value))
+    await secretStore.load()
+    return secretStore
+  }
+
+  /**
+   * @param {string} name
+   * @param {string|string[]} value
+   * @return {Promise<void>}
+   */
+  async handleSecretChange(name, value) {
+    if (!this.configSetup.secretKeys.includes(name)) {
+      this.updateRedactedValues()
+      return
+    }
+    this.config[name] = value
+    if (this.loadedConfig) {
+      this.loadedConfig[name] = value
+    }
+    this.updateRedactedValues()
+    if (name === "koaKeys" && this.koa) {
+      this.koa.keys = ensureArray(value)
+    }
+    this.logger.info("Secret %s has changed", name)
+    if (this.isReady) {
+      await this.callPlugins("handleConfigChange", this.config, [name])
+    }
+  }
+
+  /**
+   * Replaces secret config entries with the values from the secret store, plaintext values from `secrets.yml` get imported into it
+   * @param {Object<string, *>} config
+   * @return {Promise<Object<string, *>>}
+   */
+  async applySecretStore(config) {
+    if (!this.options.secretStore) {
+      return config
+    }
+    if (!this.secrets) {
+      this.secrets = await this.openSecretStore()
+    }
+    const result = {...config}
+    const importedKeys = []
+    for (const key of uniq(this.configSetup.secretKeys)) {
+      if (this.secrets.has(key)) {
+        result[key] = this.secrets.get(key)
+      } else if (!isEmpty(config[key])) {
+        this.secrets.values[key] = config[key]
+        importedKeys.push(key)
+      }
+    }
+    if (this.configSetup.secretKeys.includes("koaKeys") && isEmpty(result.koaKeys)) {
+      this.secrets.values.koaKeys = [SecretStore.generateSecret()]
+      result.koaKeys = this.secrets.values.koaKeys
+      this.logger.info("Generated koaKeys in the secret store")
+    }
+    if (importedKeys.length || result.koaKeys !== config.koaKeys) {
+      await this.secrets.save()
+    }
+    if (importedKeys.length) {
+      this.logger.warn("Imported %s into the secret store, they can be removed from %s now: %s", zahl(importedKeys, "secret"), path.join(this.configFolder, "secrets.yml"), importedKeys.join(", "))
+    }
+    return result
+  }
+
+  /**
+   * Applies values from environment variables and CLI arguments on top of the loaded config
+   * @param {Object<string, *>} config
+   * @return {Promise<Object<string, *>>}
+   */
+  async applyConfigOverrides(config) {
+    const keys = uniq([
+      ...Object.keys(this.configSetup.fields),
+      ...Object.keys(this.configSetup.defaults),
+      ...this.configSetup.secretKeys,
+      ...Object.keys(this.configSetup.schema),
+      ...Object.keys(config),
+    ])
+    const {overrides, unknownArgumentKeys} = await getConfigOverrides(keys, {
+      envPrefix: this.getEnvPrefix(),
+      env: process.env,
+      argv: this.options.configArguments ? process.argv.slice(2) : [],
     })
+    if (unknownArgumentKeys.length) {
+      this.logger.warn("Ignored %s for unknown config entries: %s", zahl(unknownArgumentKeys, "CLI argument"), unknownArgumentKeys.map(key => `--config.${key}`).join(", "))
+    }
+    const overrideEntries = Object.entries(overrides)
+    if (!overrideEntries.length) {
+      return config
+    }
+    const overridesString = overrideEntries.map(([key, override]) => {
+      const value = this.configSetup.secretKeys.includes(key) ? "[redacted]" : override.value
+      return `${key}=${value} (${override.source})`
+    }).join(", ")
+    this.logger.info("Overrode %s: %s", zahl(overrideEntries, "config entry"), overridesString)
+    return {
+      ...config,
+      ...Object.fromEntries(overrideEntries.map(([key, override]) => [key, override.value])),
+    }
   }
 
   /**
-   * @typedef {Object} ModelDefinitionContext
-   * @prop {JaidCore} core
-   * @prop {JaidCorePlugin} parentPlugin
-   * @prop {import("sequelize").default} sequelize
-   * @prop {Object<string, import("sequelize").Model)} models
+   * Validates and coerces config values with the schemas from the config setups
+   * @param {Object<string, *>} config
+   * @param {string[]} [keys] Only validates these keys
+   * @return {Object<string, *>} Config with coerced values
    */
+  validateConfig(config, keys) {
+    let schemas = this.configSetup.schema
+    if (keys) {
+      schemas = Object.fromEntries(Object.entries(schemas).filter(([key]) => keys.includes(key)))
+    }
+    const result = validateConfig(config, schemas)
+    if (result.errors.length) {
+      const lines = result.errors.map(error => {
+        const rootKey = error.key.replace(/\[.*$/, "")
+        const fileName = this.configSetup.secretKeys.includes(rootKey) ? "secrets.yml" : "config.yml"
+        const file = this.configFolder ? path.join(this.configFolder, fileName) : fileName
+        const owner = this.configKeyOwners[rootKey] ? `plugin ${this.configKeyOwners[rootKey]}` : "core"
+        return `  ${error.key} (${owner}, ${file}) ${error.message}`
+      })
+      throw new Error(`Config has ${zahl(result.errors, "invalid value")}:\n${lines.join("\n")}`)
+    }
+    return result.config
+  }
 
   /**
-   * @param {string} modelName
-   * @param {(superClass, classGenerationContext) => SequelizeDefinition} generateDefinition
-   * @param {Object} Sequelize
-   * @param {Object} plugin
+   * @param {string} connectionName
+   * @param {string} key Like `path` or `schemaSync`
+   * @return {string} Config key of the setting, like `databasePath` for the default connection and `cacheDatabasePath` for the connection `cache`
    */
-  registerModelDynamic(modelName, generateDefinition, Sequelize, plugin) {
-    const superClass = Sequelize.Model
-    const classGenerationContext = {
-      core: this,
-      sequelize: this.database,
-      models: this.database.models,
-      parentPlugin: plugin,
+  getDatabaseConfigKey(connectionName, key) {
+    if (connectionName === "default") {
+      return key === "timezone" ? key : `database${upperFirst(key)}`
+    }
+    return `${connectionName}Database${upperFirst(key)}`
+  }
+
+  /**
+   * @param {string} [connectionName="default"]
+   * @return {import("sequelize").Sequelize}
+   */
+  getDatabase(connectionName = "default") {
+    const database = this.databases[connectionName]
+    if (!database) {
+      throw new Error(`Unknown database connection ${connectionName}`)
+    }
+    return database
+  }
+
+  /**
+   * @param {string} connectionName
+   * @param {DatabaseConnectionOptions} connectionOptions
+   * @return {import("sequelize").Sequelize}
+   */
+  createDatabase(connectionName, connectionOptions) {
+    const key = name => this.config[this.getDatabaseConfigKey(connectionName, name)]
+    const sequelizeOptions = {}
+    if (connectionOptions.sqlite) {
+      Object.assign(sequelizeOptions, {
+        dialect: "sqlite",
+        storage: key("path"),
+      })
+    } else {
+      Object.assign(sequelizeOptions, {
+        dialect: key("dialect"),
+        host: key("host"),
+        port: key("port"),
+        database: key("name"),
+        username: key("user"),
+        password: key("password"),
+        timezone: key("timezone"),
+      })
+    }
+    const linePrefix = connectionName === "default" ? "" : `[${connectionName}] `
+    const database = new this.Sequelize({
+      benchmark: true,
+      logging: (line, ...details) => {
+        // Database drivers can call back outside of the request context, so it is restored from the query options
+        const queryContext = details[details.length - 1]?.requestContext
+        if (queryContext) {
+          this.requestContext.run(queryContext, () => this.logger.log(this.options.databaseLogLevel, linePrefix + line))
+          return
+        }
+        this.logger.log(this.options.databaseLogLevel, linePrefix + line)
+      },
+      ...sequelizeOptions,
+      ...connectionOptions.sequelizeOptions,
+      ...this.options.memoryDatabase || this.options.fixtures ? {
+        dialect: "sqlite",
+        storage: ":memory:",
+      } : {},
+    })
+    database.addHook("beforeQuery", (options, query) => {
+      query.options.requestContext = this.requestContext.getStore()
+    })
+    return database
+  }
+
+  /**
+   * @param {string} modelName
+   * @param {SequelizeDefinition} definition
+   */
+  registerModel(modelName, definition) {
+    const schema = sortKeys(definition.schema)
+    definition.default.init(schema, {
+      modelName,
+      sequelize: this.getDatabase(definition.connection),
+      indexes: definition.indexes,
+      ...definition.modelOptions,
+    })
+  }
+
+  /**
+   * @typedef {Object} ModelDefinitionContext
+   * @prop {JaidCore} core
+   * @prop {JaidCorePlugin} parentPlugin
+   * @prop {import("sequelize").default} sequelize
+   * @prop {Object<string, import("sequelize").Model)} models
+   */
+
+  /**
+   * @param {string} modelName
+   * @param {(superClass, classGenerationContext) => SequelizeDefinition} generateDefinition
+   * @param {Object} Sequelize
+   * @param {Object} plugin
+   * @param {string} [connectionName="default"]
+   */
+  registerModelDynamic(modelName, generateDefinition, Sequelize, plugin, connectionName = "default") {
+    const superClass = Sequelize.Model
+    const database = this.getDatabase(connectionName)
+    const classGenerationContext = {
+      core: this,
+      sequelize: database,
+      models: database.models,
+      parentPlugin: plugin,
+    }
+    const definition = generateDefinition(superClass, classGenerationContext)
+    const schema = sortKeys(definition.schema)
+    definition.default.init(schema, {
+      modelName,
+      sequelize: database,
+      indexes: definition.indexes,
+      ...definition.modelOptions,
+    })
+  }
+
+  /**
+   * Migrations only run against the default connection, so plugins with models on named connections must not return any
+   * @param {Object<string, *>} migrationLists Migrations by plugin id, as returned by the `collectMigrations` hook
+   */
+  assertMigrationConnections(migrationLists) {
+    for (const [pluginId, migrationList] of Object.entries(migrationLists)) {
+      const modelNames = this.namedConnectionModels[pluginId]
+      if (hasContent(migrationList) && modelNames?.length) {
+        throw new Error(`Plugin ${pluginId} provided migrations, but its models ${modelNames.join(", ")} are registered on named connections, migrations only apply to the default connection`)
+      }
+    }
+  }
+
+  /**
+   * Definitions can target a database connection with a `connection` property, for generator functions it can be set on the function or on the object exporting it as `default`
+   * @param {Object<string, Object<string, *>>} modelMaps Model definitions by plugin id, as returned by the `collectModels` hook
+   * @return {string[]} Names of the registered models
+   */
+  registerModelMaps(modelMaps) {
+    const staticModelNames = []
+    const dynamicModelNames = []
+    for (const [pluginName, modelMap] of Object.entries(modelMaps)) {
+      const plugin = this.plugins[pluginName]
+      this.namedConnectionModels[pluginName] = Object.entries(modelMap)
+        .filter(([, modelDefinition]) => (modelDefinition.connection ?? modelDefinition.default?.connection ?? "default") !== "default")
+        .map(([modelName]) => modelName)
+      for (const [modelName, modelDefinition] of Object.entries(modelMap)) {
+        if (modelDefinition.schema) {
+          this.registerModel(modelName, modelDefinition)
+          staticModelNames.push(modelName)
+        } else if (isFunction(modelDefinition)) {
+          this.registerModelDynamic(modelName, modelDefinition, this.Sequelize, plugin, modelDefinition.connection)
+          dynamicModelNames.push(modelName)
+        } else if (isFunction(modelDefinition.default)) {
+          this.registerModelDynamic(modelName, modelDefinition.default, this.Sequelize, plugin, modelDefinition.connection ?? modelDefinition.default.connection)
+          dynamicModelNames.push(modelName)
+        } else {
+          throw new Error(`Not sure what to do with given Sequelize model definition ${modelName}`)
+        }
+      }
+    }
+    if (staticModelNames.length) {
+      this.logger.info(`${zahl(staticModelNames, "static model definition")} loaded: ${staticModelNames.join(", ")}`)
+    }
+    if (dynamicModelNames.length) {
+      this.logger.info(`${zahl(dynamicModelNames, "dynamic model definition")} generated: ${dynamicModelNames.join(", ")}`)
+    }
+    return [...staticModelNames, ...dynamicModelNames]
+  }
+
+  /**
+   * Generates a self-signed certificate in the app folder if there is no valid one yet
+   * @return {Promise<{keyPath: string, certPath: string}>}
+   */
+  async ensureSelfSignedCertificate() {
+    const keyPath = path.join(this.appFolder, "tls", "selfSigned.key")
+    const certPath = path.join(this.appFolder, "tls", "selfSigned.crt")
+    const hasCertificate = await Promise.all([keyPath, certPath].map(file => fs.promises.access(file))).then(() => true, () => false)
+    if (hasCertificate) {
+      const cert = await fs.promises.readFile(certPath)
+      const validTo = new Date(new crypto.X509Certificate(cert).validTo)
+      if (validTo.getTime() - Date.now() > 24 * 60 * 60 * 1000) {
+        return {
+          keyPath,
+          certPath,
+        }
+      }
+      this.logger.info("Self-signed certificate %s expires at %s, generating a new one", certPath, validTo.toISOString())
+    }
+    const {key, cert} = await generateSelfSignedCertificate()
+    await fs.promises.mkdir(path.dirname(keyPath), {recursive: true})
+    await fs.promises.writeFile(keyPath, key, {mode: 0o600})
+    await fs.promises.writeFile(certPath, cert)
+    this.logger.info("Generated self-signed certificate %s", certPath)
+    return {
+      keyPath,
+      certPath,
+    }
+  }
+
+  /**
+   * @return {Promise<{key: Buffer, cert: Buffer, ca?: Buffer}>}
+   */
+  async loadTlsOptions() {
+    let keyPath = this.config.tlsKeyPath
+    let certPath = this.config.tlsCertPath
+    if (isEmpty(keyPath) || isEmpty(certPath)) {
+      if (!this.options.selfSignedCertificate) {
+        throw new Error("config.tlsKeyPath and config.tlsCertPath have to be set for the secure server, a self-signed certificate is only used if options.selfSignedCertificate is enabled")
+      }
+      const isFirstLoad = this.tlsFiles.length === 0
+      this.logger.log(isFirstLoad ? "warn" : "debug", "config.tlsKeyPath or config.tlsCertPath is not set, the secure server will use a self-signed certificate")
+      const selfSigned = await this.ensureSelfSignedCertificate()
+      keyPath = selfSigned.keyPath
+      certPath = selfSigned.certPath
+    }
+    const tlsFiles = [keyPath, certPath]
+    const [key, cert] = await Promise.all(tlsFiles.map(file => fs.promises.readFile(file)))
+    const tlsOptions = {
+      key,
+      cert,
+    }
+    if (hasContent(this.config.tlsCaPath)) {
+      tlsOptions.ca = await fs.promises.readFile(this.config.tlsCaPath)
+      tlsFiles.push(this.config.tlsCaPath)
+    }
+    this.tlsFiles = tlsFiles
+    return tlsOptions
+  }
+
+  /**
+   * Reloads the TLS context of the secure server and watches the new files if the paths have changed
+   * @return {Promise<void>}
+   */
+  async reloadTls() {
+    try {
+      const tlsOptions = await this.loadTlsOptions()
+      this.secureServer.setSecureContext(tlsOptions)
+      this.logger.info("Reloaded TLS certificate for secure server")
+    } catch (error) {
+      this.logger.error("Could not reload TLS certificate, keeping the previous one: %s", error)
+    }
+    if (!isEqual(this.watchedTlsFiles, this.tlsFiles)) {
+      this.unwatchTlsFiles()
+      this.watchTlsFiles()
+    }
+  }
+
+  watchTlsFiles() {
+    this.watchedTlsFiles = this.tlsFiles
+    for (const file of this.tlsFiles) {
+      fs.watchFile(file, {
+        interval: this.options.tlsReloadInterval,
+        persistent: false,
+      }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+          return
+        }
+        this.logger.info("TLS file %s has changed", file)
+        this.reloadTls()
+      })
+    }
+  }
+
+  unwatchTlsFiles() {
+    for (const file of this.watchedTlsFiles) {
+      fs.unwatchFile(file)
+    }
+    this.watchedTlsFiles = []
+  }
+
+  watchConfigFiles() {
+    this.configFiles = ["config.yml", "secrets.yml"].map(fileName => path.join(this.configFolder, fileName))
+    for (const file of this.configFiles) {
+      fs.watchFile(file, {
+        interval: this.options.configReloadInterval,
+        persistent: false,
+      }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+          return
+        }
+        this.logger.info("Config file %s has changed", file)
+        this.reloadConfig()
+      })
+    }
+  }
+
+  unwatchConfigFiles() {
+    for (const file of this.configFiles) {
+      fs.unwatchFile(file)
+    }
+  }
+
+  /**
+   * Loads the config files again and applies changed entries, reloads are queued if they overlap
+   * @return {Promise<string[]>} Keys of the applied config entries
+   */
+  reloadConfig() {
+    const previousReload = this.configReloadPromise ?? Promise.resolve()
+    this.configReloadPromise = previousReload.then(() => this.runConfigReload())
+    return this.configReloadPromise
+  }
+
+  /**
+   * @return {Promise<string[]>}
+   */
+  async runConfigReload() {
+    let newConfig
+    try {
+      const configResult = essentialConfig(this.appPath, this.configSetup)
+      const storedConfig = await this.applySecretStore(configResult.config)
+      const overriddenConfig = await this.applyConfigOverrides(storedConfig)
+      newConfig = this.validateConfig(overriddenConfig)
+    } catch (error) {
+      this.logger.error("Could not reload config, keeping the previous one: %s", error)
+      return []
+    }
+    return this.applyLoadedConfig(newConfig)
+  }
+
+  /**
+   * Applies the entries of a validated config that differ from the loaded config, entries of `staticKeys` are kept
+   * @param {Object<string, *>} newConfig Complete config as returned by `validateConfig`
+   * @return {Promise<string[]>} Keys of the applied config entries
+   */
+  async applyLoadedConfig(newConfig) {
+    const changedKeys = uniq([...Object.keys(this.loadedConfig), ...Object.keys(newConfig)]).filter(key => !isEqual(this.loadedConfig[key], newConfig[key]))
+    this.loadedConfig = newConfig
+    const staticKeys = changedKeys.filter(key => this.configSetup.staticKeys.includes(key))
+    if (staticKeys.length) {
+      this.logger.warn("%s can only be changed with a restart, keeping the previous values: %s", zahl(staticKeys, "config entry"), staticKeys.join(", "))
+    }
+    const appliedKeys = changedKeys.filter(key => !staticKeys.includes(key))
+    if (!appliedKeys.length) {
+      return []
+    }
+    const previousConfig = {...this.config}
+    for (const key of appliedKeys) {
+      if (newConfig[key] === undefined) {
+        delete this.config[key]
+      } else {
+        this.config[key] = newConfig[key]
+      }
+    }
+    this.doForManagedPluginsSync(plugin => {
+      plugin.config = this.config
+    })
+    this.updateRedactedValues()
+    this.logger.info("Applied %s: %s", zahl(appliedKeys, "changed config entry"), appliedKeys.join(", "))
+    if (appliedKeys.includes("disabledPlugins")) {
+      await this.applyDisabledPlugins(previousConfig.disabledPlugins)
+    }
+    if (this.hasSecureServer && appliedKeys.some(key => ["tlsKeyPath", "tlsCertPath", "tlsCaPath"].includes(key))) {
+      await this.reloadTls()
+    }
+    if (appliedKeys.includes("httpPolicies")) {
+      this.httpPolicies.reset()
+    }
+    await this.callPlugins("handleConfigChange", this.config, appliedKeys)
+    return appliedKeys
+  }
+
+  /**
+   * Removes plugins that have been added to `config.disabledPlugins` and adds plugins that have been removed from it
+   * @param {string[]|string} previousDisabledPlugins
+   * @return {Promise<void>}
+   */
+  async applyDisabledPlugins(previousDisabledPlugins) {
+    const disabledPlugins = ensureArray(this.config.disabledPlugins)
+    const previousDisabledPluginsArray = ensureArray(previousDisabledPlugins)
+    for (const pluginId of disabledPlugins.filter(id => !previousDisabledPluginsArray.includes(id))) {
+      if (!this.plugins[pluginId]) {
+        continue
+      }
+      try {
+        await this.removePlugin(pluginId)
+      } catch (error) {
+        this.logger.error("Could not disable plugin %s: %s", pluginId, error)
+      }
+    }
+    for (const pluginId of previousDisabledPluginsArray.filter(id => !disabledPlugins.includes(id))) {
+      if (this.plugins[pluginId] || !this.pluginSources[pluginId]) {
+        continue
+      }
+      try {
+        await this.addPlugin(pluginId, this.pluginSources[pluginId])
+      } catch (error) {
+        this.logger.error("Could not enable plugin %s: %s", pluginId, error)
+      }
+    }
+  }
+
+  /**
+   * @param {"cookie"|"database"|"memory"|Object} [store="cookie"]
+   * @return {MemorySessionStore|DatabaseSessionStore|Object|null}
+   */
+  createSessionStore(store) {
+    if (!store || store === "cookie") {
+      return null
+    }
+    if (store === "memory") {
+      return new MemorySessionStore
+    }
+    if (store === "database") {
+      if (!this.hasDatabase) {
+        throw new Error("Session store \"database\" needs the core option database or sqlite")
+      }
+      return new DatabaseSessionStore(this)
+    }
+    if (isString(store)) {
+      throw new Error(`Unknown session store ${store}, expected "cookie", "database", "memory" or a store object`)
+    }
+    return store
+  }
+
+  /**
+   * @param {GotCacheOptions} cacheOptions
+   * @return {Promise<MemoryHttpCache|SqliteHttpCache|Object>}
+   */
+  async createHttpCache(cacheOptions) {
+    const {store = "memory", maxEntries} = cacheOptions
+    if (store === "memory") {
+      return new MemoryHttpCache(maxEntries)
+    }
+    if (store === "sqlite") {
+      const cache = new SqliteHttpCache(__non_webpack_require__("sequelize"), path.join(this.appFolder, "httpCache.sqlite"))
+      await cache.load()
+      return cache
+    }
+    if (isString(store)) {
+      throw new Error(`Unknown got cache store ${store}, expected "memory", "sqlite" or a Keyv-compatible store object`)
+    }
+    return store
+  }
+
+  /**
+   * @param {SocketsOptions} socketsOptions Everything except `parser` is passed to the socket.io server
+   */
+  createSocketServer(socketsOptions) {
+    if (!this.hasServer) {
+      throw new Error("Core option sockets needs the core option insecurePort or securePort")
+    }
+    const {parser, ...serverOptions} = socketsOptions
+    const {Server} = __non_webpack_require__("socket.io")
+    const allowRequest = serverOptions.allowRequest
+    this.socketServer = new Server({
+      serveClient: false,
+      ...serverOptions,
+      parser: this.getSocketParser(parser),
+      allowRequest: async (request, callback) => {
+        try {
+          await this.loadSocketSession(request)
+        } catch (error) {
+          this.logger.warn("Could not load session for socket handshake: %s", error)
+          callback("Could not load session", false)
+          return
+        }
+        if (allowRequest) {
+          allowRequest(request, callback)
+        } else {
+          callback(null, true)
+        }
+      },
+    })
+    this.socketNamespaces.add(this.socketServer.sockets)
+    this.socketServer.on("new_namespace", namespace => {
+      this.socketNamespaces.add(namespace)
+    })
+    const servers = [this.insecureServer, this.secureServer].filter(Boolean)
+    for (const server of servers) {
+      this.socketServer.attach(server)
+      this.socketEngines.push(this.socketServer.engine)
+    }
+    this.logger.info("Attached socket.io to %s", zahl(servers, "server"))
+  }
+
+  /**
+   * @param {"default"|"msgpack"|Object} [parser="default"]
+   * @return {Object|undefined}
+   */
+  getSocketParser(parser) {
+    if (!parser || parser === "default") {
+      return
+    }
+    if (parser === "msgpack") {
+      return __non_webpack_require__("socket.io-msgpack-parser")
+    }
+    if (isString(parser)) {
+      throw new Error(`Unknown socket parser ${parser}, expected "default", "msgpack" or a parser object`)
+    }
+    return parser
+  }
+
+  /**
+   * Reads the Koa session of a socket.io handshake request and stores a copy of its data as `request.session`
+   * @param {import("http").IncomingMessage} request
+   * @return {Promise<void>}
+   */
+  async loadSocketSession(request) {
+    if (!this.sessionMiddleware) {
+      return
+    }
+    const context = this.koa.createContext(request, new ServerResponse(request))
+    await this.sessionMiddleware(context, async () => {
+      request.session = context.session?.toJSON() ?? null
+    })
+  }
+
+  /**
+   * @return {number}
+   */
+  getSocketClientCount() {
+    let count = 0
+    for (const engine of this.socketEngines) {
+      count += engine.clientsCount
+    }
+    return count
+  }
+
+  /**
+   * Disconnects all socket.io clients of all namespaces. Clients close their connection themselves once all their namespaces are disconnected, which needs another request for polling clients, so this has to be called while the servers still accept connections. Connections that are still open after `shutdownTimeout` get closed by the server.
+   * @return {Promise<void>}
+   */
+  async closeSocketServer() {
+    const clientCount = this.getSocketClientCount()
+    for (const namespace of this.socketNamespaces) {
+      namespace.disconnectSockets()
+    }
+    const deadline = Date.now() + this.options.shutdownTimeout
+    while (this.getSocketClientCount() && Date.now() < deadline) {
+      await sleep(50)
+    }
+    for (const engine of this.socketEngines) {
+      engine.close()
+    }
+    this.logger.info("Disconnected %s", zahl(clientCount, "socket client"))
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async cleanupSessions() {
+    try {
+      const count = await this.sessionStore.cleanup()
+      if (count) {
+        this.logger.debug("Removed %s", zahl(count, "expired session"))
+      }
+    } catch (error) {
+      this.logger.error("Could not remove expired sessions: %s", error)
+    }
+  }
+
+  /**
+   * Stores a job in the job queue, it runs once a concurrency slot of its definition is free and gets retried until it succeeds or has used up its attempts
+   * @param {string} name Job name including the plugin id, like `myPlugin.sendMail`
+   * @param {*} [payload] Passed to the job handler, has to be JSON serializable
+   * @param {import("./JobQueue.js").EnqueueOptions} [options]
+   * @return {Promise<number>} Id of the queued job
+   */
+  async enqueueJob(name, payload, options) {
+    if (!this.jobQueue) {
+      throw new Error("enqueueJob needs the core option jobQueue")
+    }
+    return this.jobQueue.enqueue(name, payload, options)
+  }
+
+  /**
+   * Makes a service available to all plugins, calls of `use` with the same name resolve once `implementation` is resolved and the providing plugin has finished `init`
+   * @param {string} serviceName
+   * @param {*} implementation
+   * @param {string} [pluginId] Plugin that provides the service, its services get removed together with the plugin
+   * @return {Promise<void>} Resolves once the `serviceProvided` event has been handled, failing listeners are only logged
+   */
+  async provide(serviceName, implementation, pluginId) {
+    this.services.provide(serviceName, implementation, pluginId ?? null)
+    this.logger.debug("Service %s has been provided%s", serviceName, pluginId ? ` by ${this.formatPluginName(pluginId)}` : "")
+    try {
+      await this.events.emit("serviceProvided", {
+        serviceName,
+        pluginId: pluginId ?? null,
+      })
+    } catch (error) {
+      this.logger.error("Handling serviceProvided for service %s failed: %s", serviceName, error)
+    }
+  }
+
+  /**
+   * @param {string} serviceName
+   * @return {Promise<*>} The service implementation, once it has been provided
+   */
+  use(serviceName) {
+    return this.services.use(serviceName)
+  }
+
+  /**
+   * Reverts all applied migrations that come after the given one
+   * @param {string|null} migrationId Migration that should be the last applied one, `null` reverts all migrations
+   * @return {Promise<string[]>} Ids of the reverted migrations
+   */
+  async rollbackMigrations(migrationId) {
+    if (!this.migrator) {
+      throw new Error("Migrations are not available, because there is no database")
+    }
+    return this.migrator.rollback(migrationId)
+  }
+
+  /**
+   * @typedef {Object} HealthCheckResult
+   * @prop {boolean} ok
+   * @prop {string} [error]
+   * @prop {*} [details]
+   */
+
+  /**
+   * @typedef {Object} Readiness
+   * @prop {boolean} ready
+   * @prop {Object<string, HealthCheckResult>} checks
+   */
+
+  /**
+   * @param {Function} check
+   * @return {Promise<HealthCheckResult>}
+   */
+  async runHealthCheck(check) {
+    try {
+      const result = await check()
+      if (result === false) {
+        return {ok: false}
+      }
+      if (result === true || result === undefined) {
+        return {ok: true}
+      }
+      return {
+        ok: true,
+        details: result,
+      }
+    } catch (error) {
+      return {
+        ok: false,
+        error: String(error?.message || error),
+      }
+    }
+  }
+
+  /**
+   * Ready means that the `ready` hooks have been called, all database connections work and all plugin health checks pass
+   * @return {Promise<Readiness>}
+   */
+  async getReadiness() {
+    const checks = {}
+    const jobs = []
+    for (const [connectionName, database] of Object.entries(this.databases)) {
+      const checkName = connectionName === "default" ? "database" : `${connectionName}Database`
+      jobs.push((async () => {
+        checks[checkName] = await this.runHealthCheck(() => database.authenticate())
+      })())
+    }
+    for (const [checkName, {check}] of Object.entries(this.healthChecks)) {
+      jobs.push((async () => {
+        checks[checkName] = await this.runHealthCheck(check)
+      })())
+    }
+    await Promise.all(jobs)
+    const circuitStates = this.httpPolicies.getCircuitStates()
+    if (hasContent(circuitStates)) {
+      checks.httpCircuits = {
+        ok: !Object.values(circuitStates).includes("open"),
+        details: circuitStates,
+      }
+    }
+    const ready = this.isReady && !this.isClosing && Object.values(checks).every(result => result.ok)
+    return {
+      ready,
+      checks: sortKeys(checks),
+    }
+  }
+
+  /**
+   * @param {string} pluginId
+   * @param {Object<string, Function>} [healthCheckMap]
+   */
+  addHealthChecks(pluginId, healthCheckMap) {
+    if (!healthCheckMap) {
+      return
+    }
+    for (const [checkName, check] of Object.entries(healthCheckMap)) {
+      this.healthChecks[`${pluginId}.${checkName}`] = {
+        pluginId,
+        check,
+      }
+    }
+  }
+
+  /**
+   * @param {import("net").Server} server
+   */
+  trackConnections(server) {
+    server.on("connection", socket => {
+      this.sockets.add(socket)
+      socket.once("close", () => {
+        this.sockets.delete(socket)
+      })
+    })
+    server.on("session", session => {
+      this.http2Sessions.add(session)
+      session.once("close", () => {
+        this.http2Sessions.delete(session)
+      })
+    })
+  }
+
+  installSignalHandlers() {
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      const handler = async () => {
+        if (this.isClosing) {
+          this.logger.warn("Received %s again, exiting immediately", signal)
+          process.exit(1)
+        }
+        this.logger.info("Received %s, shutting down", signal)
+        try {
+          await this.close()
+          process.exit(0)
+        } catch (error) {
+          this.logger.error("Could not shut down: %s", error)
+          process.exit(1)
+        }
+      }
+      process.on(signal, handler)
+      this.signalHandlers[signal] = handler
+    }
+  }
+
+  removeSignalHandlers() {
+    for (const [signal, handler] of Object.entries(this.signalHandlers)) {
+      process.off(signal, handler)
+    }
+    this.signalHandlers = {}
+  }
+
+  /**
+   * @param {number} timeout
+   * @return {Promise<boolean>} `true` if all requests finished in time
+   */
+  async waitForActiveRequests(timeout) {
+    const deadline = Date.now() + timeout
+    while (this.activeRequests > 0) {
+      if (Date.now() >= deadline) {
+        return false
+      }
+      await sleep(100)
+    }
+    return true
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async waitForJobs() {
+    const runningCount = this.jobScheduler.getRunningCount()
+    if (runningCount) {
+      this.logger.info("Waiting for %s", zahl(runningCount, "running job"))
+    }
+    const finishPromise = Promise.all([this.jobScheduler.waitForRuns(), this.jobQueue?.waitForExecutions()]).then(() => true)
+    const finishedInTime = await Promise.race([finishPromise, sleep(this.options.shutdownTimeout, false, {ref: false})])
+    if (!finishedInTime) {
+      this.logger.warn("%s still running after %s", zahl(this.jobScheduler.getRunningCount(), "job"), readableMs(this.options.shutdownTimeout))
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async closeServers() {
+    const servers = []
+    if (this.hasInsecureServer && this.insecureServer?.listening) {
+      servers.push(this.insecureServer)
+    }
+    if (this.hasSecureServer) {
+      this.unwatchTlsFiles()
+      if (this.secureServer?.listening) {
+        servers.push(this.secureServer)
+      }
+    }
+    if (!servers.length) {
+      return
+    }
+    const startTime = Date.now()
+    if (this.socketServer) {
+      await this.closeSocketServer()
+    }
+    const closeJobs = servers.map(server => {
+      const close = pify(server.close.bind(server))
+      return close()
+    })
+    for (const server of servers) {
+      server.closeIdleConnections?.()
+    }
+    for (const session of this.http2Sessions) {
+      session.close()
+    }
+    this.logger.info("Stopped accepting connections, waiting for %s", zahl(this.activeRequests, "running request"))
+    const finishedInTime = await this.waitForActiveRequests(this.options.shutdownTimeout)
+    if (!finishedInTime) {
+      this.logger.warn("%s still running after %s", zahl(this.activeRequests, "request"), readableMs(this.options.shutdownTimeout))
+    }
+    for (const server of servers) {
+      server.closeIdleConnections?.()
+    }
+    if (this.sockets.size || this.http2Sessions.size) {
+      this.logger.log(finishedInTime ? "debug" : "warn", "Destroying %s and %s", zahl(this.sockets.size, "remaining socket"), zahl(this.http2Sessions.size, "remaining HTTP2 session"))
+      for (const session of this.http2Sessions) {
+        session.destroy()
+      }
+      for (const socket of this.sockets) {
+        socket.destroy()
+      }
+    }
+    await Promise.all(closeJobs)
+    this.logger.info("Closed %s in %s", zahl(servers, "server"), readableMs(Date.now() - startTime))
+  }
+
+  /**
+   * Stops accepting connections and scheduling jobs, waits for running requests and jobs and closes plugins and database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.closePromise) {
+      this.closePromise = this.runClose()
+    }
+    return this.closePromise
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async runClose() {
+    this.isClosing = true
+    this.unwatchConfigFiles()
+    clearInterval(this.sessionCleanupInterval)
+    this.jobScheduler.stop()
+    const startTime = Date.now()
+    this.logger.info("Shutting down")
+    try {
+      await this.jobQueue?.stop()
+      await this.callPluginsReversed("preClose")
+      await this.closeServers()
+      await this.waitForJobs()
+      await this.callPluginsReversed("close")
+    } finally {
+      // If a critical plugin failed, servers and databases still have to be closed, closeServers skips servers that are already closed
+      await this.closeServers()
+      await this.closeDatabases()
+      this.removeSignalHandlers()
+    }
+    await this.callPluginsReversed("postClose")
+    this.logger.info("Shut down after %s", readableMs(Date.now() - startTime))
+  }
+
+  /**
+   * Closes the SQLite response cache and all database connections
+   * @return {Promise<void>}
+   */
+  async closeDatabases() {
+    if (this.httpCache instanceof SqliteHttpCache) {
+      await this.httpCache.close()
+    }
+    for (const [connectionName, database] of Object.entries(this.databases)) {
+      await database.close()
+      if (connectionName === "default") {
+        this.logger.info("Closed database connection")
+      } else {
+        this.logger.info("Closed database connection %s", connectionName)
+      }
+    }
+  }
+
+  /**
+   * @param {string} memberName
+   * @param {...*} args
+   * @return {Promise<Object>}
+   */
+  async callPlugins(memberName, ...args) {
+    return this.runPluginHook(memberName, args, false, null)
+  }
+
+  /**
+   * Like `callPlugins`, but plugins are called after the plugins that depend on them
+   * @param {string} memberName
+   * @param {...*} args
+   * @return {Promise<Object>}
+   */
+  async callPluginsReversed(memberName, ...args) {
+    return this.runPluginHook(memberName, args, true, null)
+  }
+
+  /**
+   * Calls a hook of a single plugin, with the same timeout and failure handling as `callPlugins`
+   * @param {string} pluginId
+   * @param {string} memberName
+   * @param {...*} args
+   * @return {Promise<*>} The result of the hook
+   */
+  async callPlugin(pluginId, memberName, ...args) {
+    const results = await this.runPluginHook(memberName, args, false, [pluginId])
+    return results[pluginId]
+  }
+
+  /**
+   * @param {string} memberName
+   * @param {Array} args
+   * @param {boolean} reversed
+   * @param {string[]|null} pluginIds If given, only these plugins are called
+   * @return {Promise<Object>}
+   */
+  async runPluginHook(memberName, args, reversed, pluginIds) {
+    if (!pluginIds && this.unusedPluginEvents.has(memberName)) {
+      return {}
+    }
+    let pluginOrder = reversed ? [...this.pluginOrder].reverse() : this.pluginOrder
+    if (pluginIds) {
+      pluginOrder = pluginOrder.filter(pluginId => pluginIds.includes(pluginId))
+    }
+    const pluginEntries = pluginOrder.map(pluginId => [pluginId, this.plugins[pluginId]])
+    const filteredEntries = pluginEntries.filter(entry => {
+      const instance = entry[1]
+      return instance[memberName] !== undefined
+    })
+    // Plugins without init are passed through anyway, because finishing init releases their services
+    if (filteredEntries.length === 0 && memberName !== "init") {
+      if (!pluginIds) {
+        this.unusedPluginEvents.add(memberName)
+      }
+      return {}
+    }
+    const predecessors = reversed ? this.getPluginDependents() : this.pluginDependencies
+    const requiredDependencies = this.pluginRequiredDependencies
+    const startTime = Date.now()
+    const results = {}
+    const failures = {}
+    const jobs = {}
+    for (const name of pluginOrder) {
+      const instance = this.plugins[name]
+      const predecessorJobs = predecessors[name].map(predecessorId => jobs[predecessorId])
+      jobs[name] = (async () => {
+        await Promise.all(predecessorJobs)
+        if (!reversed) {
+          const failedDependency = requiredDependencies[name].find(dependencyId => failures[dependencyId])
+          if (failedDependency) {
+            failures[name] = new Error(`Required plugin ${failedDependency} failed`)
+            return
+          }
+        }
+        const member = instance[memberName]
+        if (member === undefined) {
+          if (memberName === "init") {
+            this.services.setPluginInitialized(name)
+          }
+          return
+        }
+        const pluginStartTime = Date.now()
+        try {
+          const timeout = this.getHookTimeout(instance, memberName)
+          results[name] = await this.runWithTimeout(() => {
+            return typeof member === "function" ? member.apply(instance, args) : member
+          }, timeout, `Plugin ${name} did not finish ${memberName} within ${readableMs(timeout)}`)
+        } catch (error) {
+          failures[name] = error
+          return
+        }
+        const pluginEndTime = Date.now()
+        this.metrics.observe("plugin_hook_duration_seconds", {
+          plugin: name,
+          hook: memberName,
+        }, (pluginEndTime - pluginStartTime) / 1000)
+        if (!this.isReady && memberName !== "handleLog") {
+          this.lifecycleReport.add(memberName, name, pluginStartTime, pluginEndTime)
+        }
+        if (memberName === "init") {
+          this.services.setPluginInitialized(name)
+        }
+      })()
+    }
+    await Promise.all(Object.values(jobs))
+    if (hasContent(failures)) {
+      this.handlePluginFailures(memberName, failures)
+    }
+    const succeededEntries = filteredEntries.filter(([pluginId]) => !failures[pluginId])
+    if (succeededEntries.length) {
+      const pluginsString = succeededEntries.map(([pluginId, plugin]) => this.formatPluginName(pluginId, plugin)).join(", ")
+      const logLevel = memberName === "handleEvent" ? "debug" : "info"
+      this.logger.log(logLevel, "Called %s in %s on: %s", memberName, readableMs(Date.now() - startTime), pluginsString)
+    }
+    return results
+  }
+
+  /**
+   * @param {Object} plugin
+   * @param {string} memberName
+   * @return {number|null}
+   */
+  getHookTimeout(plugin, memberName) {
+    const resolveTimeout = value => isNumber(value) ? value : value?.[memberName]
+    return resolveTimeout(plugin.hookTimeout) ?? resolveTimeout(this.options.hookTimeout) ?? null
+  }
+
+  /**
+   * @template T
+   * @param {() => T} job
+   * @param {number|null} timeout
+   * @param {string} timeoutMessage
+   * @return {Promise<T>}
+   */
+  async runWithTimeout(job, timeout, timeoutMessage) {
+    if (!timeout) {
+      return job()
+    }
+    let timeoutId
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error(timeoutMessage))
+      }, timeout)
+    })
+    try {
+      return await Promise.race([job(), timeoutPromise])
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  /**
+   * @typedef {Object} PluginFailure
+   * @prop {string} pluginId
+   * @prop {string} hook
+   * @prop {Error} error
+   */
+
+  /**
+   * Removes failed plugins that are not critical, throws an AggregateError if any critical plugin failed
+   * @param {string} memberName
+   * @param {Object<string, Error>} failures
+   */
+  handlePluginFailures(memberName, failures) {
+    const criticalFailures = []
+    const removedFailures = []
+    for (const [pluginId, error] of Object.entries(failures)) {
+      const failure = {
+        pluginId,
+        error,
+        hook: memberName,
+      }
+      if (this.plugins[pluginId]?.critical === false) {
+        removedFailures.push(failure)
+      } else {
+        criticalFailures.push(failure)
+      }
+    }
+    for (const {pluginId} of removedFailures) {
+      delete this.plugins[pluginId]
+    }
+    const cascadedFailures = this.removePluginsWithMissingDependencies(memberName)
+    for (const failure of cascadedFailures) {
+      if (failure.critical) {
+        criticalFailures.push(failure)
+      } else {
+        removedFailures.push(failure)
+      }
+    }
+    const unloadedIds = new Set([...removedFailures, ...cascadedFailures].map(({pluginId}) => pluginId))
+    for (const pluginId of unloadedIds) {
+      this.detachPlugin(pluginId)
+      // Running jobs are not awaited, the failed hook could have been called from one of them
+      this.jobScheduler.removeByPlugin(pluginId)
+    }
+    for (const failure of removedFailures) {
+      this.pluginFailures.push(failure)
+      this.logger.error("Removed plugin %s, because it failed in %s: %s", this.formatPluginName(failure.pluginId), memberName, failure.error)
+    }
+    if (criticalFailures.length) {
+      const failuresString = criticalFailures.map(({pluginId, hook, error}) => `${pluginId} (${hook}): ${error?.message || error}`).join(", ")
+      const error = new AggregateError(criticalFailures.map(failure => failure.error), `${zahl(criticalFailures, "critical plugin")} failed: ${failuresString}`)
+      error.failures = criticalFailures
+      throw error
     }
-    const definition = generateDefinition(superClass, classGenerationContext)
-    const schema = sortKeys(definition.schema)
-    definition.default.init(schema, {
-      modelName,
-      sequelize: this.database,
-      indexes: definition.indexes,
-      ...definition.modelOptions,
-    })
   }
 
   /**
-   * @returns {Promise<void>}
+   * Removes plugins whose required dependencies are no longer loaded, repeats until the plugin graph is complete again
+   * @param {string} memberName
+   * @return {(PluginFailure & {critical: boolean})[]} The plugins that could not stay loaded
    */
-  async close() {
-    await this.callPlugins("close")
-    const closeJobs = []
-    if (this.hasInsecureServer) {
-      const close = pify(this.insecureServer.close.bind(this.insecureServer))
-      closeJobs.push(close())
-    }
-    if (this.hasSecureServer) {
-      const close = pify(this.secureServer.close.bind(this.secureServer))
-      closeJobs.push(close())
-    }
-    if (this.hasDatabase) {
-      closeJobs.push(this.database.close())
+  removePluginsWithMissingDependencies(memberName) {
+    const failures = []
+    while (true) {
+      const brokenEntry = Object.entries(this.pluginRequiredDependencies).find(([pluginId, dependencyIds]) => {
+        return this.plugins[pluginId] && dependencyIds.some(dependencyId => !this.plugins[dependencyId])
+      })
+      if (!brokenEntry) {
+        break
+      }
+      const [pluginId, dependencyIds] = brokenEntry
+      const missingDependency = dependencyIds.find(dependencyId => !this.plugins[dependencyId])
+      failures.push({
+        pluginId,
+        hook: memberName,
+        error: new Error(`Required plugin ${missingDependency} has been removed`),
+        critical: this.plugins[pluginId].critical !== false,
+      })
+      delete this.plugins[pluginId]
     }
-    await Promise.all(closeJobs)
+    this.updatePluginOrder()
+    return failures
   }
 
   /**
-   * @param {string} memberName
-   * @param {...*} args
-   * @return {Promise<Object>}
+   * @return {Object<string, string[]>} Ids of the plugins that depend on each plugin
    */
-  async callPlugins(memberName, ...args) {
-    if (this.unusedPluginEvents.has(memberName)) {
-      return {}
+  getPluginDependents() {
+    const dependents = {}
+    for (const pluginId of this.pluginOrder) {
+      dependents[pluginId] = []
     }
-    const pluginEntries = Object.entries(this.plugins)
-    const filteredEntries = pluginEntries.filter(entry => {
-      const instance = entry[1]
-      return instance[memberName] !== undefined
-    })
-    if (filteredEntries.length === 0) {
-      this.unusedPluginEvents.add(memberName)
-      return {}
+    for (const [pluginId, dependencyIds] of Object.entries(this.pluginDependencies)) {
+      for (const dependencyId of dependencyIds) {
+        dependents[dependencyId].push(pluginId)
+      }
     }
-    const startTime = Date.now()
-    const results = {}
-    const jobs = filteredEntries.map(async ([name, instance]) => {
-      const member = instance[memberName]
-      const result = typeof member === "function" ? member.apply(instance, args) : member
-      results[name] = await result
-    })
-    await Promise.all(jobs)
-    const pluginsString = filteredEntries.map(([pluginId, plugin]) => this.formatPluginName(pluginId, plugin)).join(", ")
-    this.logger.info("Called %s in %s on: %s", memberName, readableMs(Date.now() - startTime), pluginsString)
-    return results
+    return dependents
   }
 
   /**
@@ -369,6 +2139,7 @@ export default class JaidCore {
     for (const [name] of entriesToRemove) {
       delete this.plugins[name]
     }
+    this.updatePluginOrder()
     const pluginsString = entriesToRemove.map(([pluginId, plugin]) => this.formatPluginName(pluginId, plugin)).join(", ")
     this.logger.info("%s wanted to be removed: %s", zahl(entriesToRemove, "plugin"), pluginsString)
   }
@@ -398,13 +2169,417 @@ export default class JaidCore {
     }
   }
 
+  /**
+   * Sorts the loaded plugins by their `dependencies` and `optionalDependencies`, throws if a dependency is missing or circular
+   */
+  updatePluginOrder() {
+    const {order, dependencies, requiredDependencies} = sortPlugins(this.plugins)
+    this.pluginOrder = order
+    this.pluginDependencies = dependencies
+    this.pluginRequiredDependencies = requiredDependencies
+  }
+
   async gatherConfigSetups() {
     const configSetups = await this.callPlugins("getConfigSetup")
     if (configSetups) {
-      for (const additionalConfigSetup of Object.values(configSetups)) {
-        this.applyConfigSetup(additionalConfigSetup)
+      for (const [pluginId, additionalConfigSetup] of Object.entries(configSetups)) {
+        this.applyConfigSetup(additionalConfigSetup, pluginId)
+      }
+    }
+  }
+
+  /**
+   * @param {Object|Function} value Plugin class or plugin instance
+   * @return {Object}
+   */
+  createPlugin(value) {
+    if (isClass(value)) {
+      return new value(this)
+    }
+    return value
+  }
+
+  /**
+   * Adds a Koa middleware that gets detached when the given plugin is removed
+   * @param {string} pluginId
+   * @param {import("koa").Middleware} middleware
+   */
+  registerMiddleware(pluginId, middleware) {
+    this.pluginMiddlewares.push({
+      pluginId,
+      middleware,
+    })
+  }
+
+  /**
+   * Makes errors of the given class (and its subclasses) respond with the given status when they are thrown in Koa middlewares or route handlers
+   * @param {Function} ErrorClass
+   * @param {number|ErrorClassMapping} mapping
+   */
+  registerErrorClass(ErrorClass, mapping) {
+    this.errorClasses.set(ErrorClass, isNumber(mapping) ? {status: mapping} : mapping)
+  }
+
+  /**
+   * @param {Error} error
+   * @return {ErrorClassMapping}
+   */
+  getErrorMapping(error) {
+    if (error instanceof Object) {
+      for (let prototype = Object.getPrototypeOf(error); prototype; prototype = Object.getPrototypeOf(prototype)) {
+        const mapping = this.errorClasses.get(prototype.constructor)
+        if (mapping) {
+          return mapping
+        }
+      }
+    }
+    const status = error?.status ?? error?.statusCode
+    if (status >= 400 && STATUS_CODES[status]) {
+      return {status}
+    }
+    return {status: 500}
+  }
+
+  /**
+   * Logs an error thrown while handling a Koa request, passes it to the `handleRequestError` hook and responds with a problem document
+   * @param {import("koa").Context} context
+   * @param {Error} error
+   * @return {Promise<void>}
+   */
+  async respondWithError(context, error) {
+    const mapping = this.getErrorMapping(error)
+    const {status} = mapping
+    const {requestId} = context.state
+    if (status >= 500) {
+      this.logger.error("%s %s failed with %s: %s", context.method, context.url, status, error?.stack ?? error)
+    } else {
+      this.logger.warn("%s %s failed with %s: %s", context.method, context.url, status, error?.message ?? error)
+    }
+    const expose = mapping.expose ?? error?.expose ?? status < 500
+    const problem = {
+      ...error?.extensions,
+      instance: context.path,
+      requestId,
+    }
+    if (mapping.type) {
+      problem.type = mapping.type
+    }
+    if (expose || this.options.errorStacks) {
+      problem.detail = error?.message ?? String(error)
+    }
+    if (this.options.errorStacks && error?.stack) {
+      problem.stack = error.stack.split("\n")
+    }
+    try {
+      await this.callPlugins("handleRequestError", error, context, problem)
+    } catch (hookError) {
+      this.logger.error("handleRequestError failed: %s", hookError)
+    }
+    if (context.headerSent || !context.writable) {
+      return
+    }
+    respondWithProblem(context, status, mapping.title ?? STATUS_CODES[status], problem)
+  }
+
+  /**
+   * Creates a got instance for an external API, its requests get their own retry, concurrency, rate limit and circuit breaker state
+   * @param {string} clientName
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] Prepended to all request URLs
+   * @param {import("./HttpPolicies.js").HttpPolicy} [options.policy] Can be overridden with the config entry `httpPolicies.<clientName>`
+   * @param {import("got").ExtendOptions} [options.gotOptions]
+   * @return {import("got").GotInstance}
+   */
+  registerHttpClient(clientName, options) {
+    if (!this.got) {
+      throw new Error(`Can not register HTTP client ${clientName}, core option useGot is not enabled`)
+    }
+    const {baseUrl, policy, gotOptions} = options || {}
+    this.httpPolicies.setClientPolicy(clientName, policy)
+    const extendOptions = {
+      ...gotOptions,
+      context: {
+        ...gotOptions?.context,
+        httpClient: clientName,
+      },
+    }
+    if (baseUrl) {
+      extendOptions.prefixUrl = baseUrl
+    }
+    this.httpClients[clientName] = this.got.extend(extendOptions)
+    return this.httpClients[clientName]
+  }
+
+  /**
+   * @param {string} clientName
+   * @return {import("got").GotInstance}
+   */
+  getHttpClient(clientName) {
+    const client = this.httpClients[clientName]
+    if (!client) {
+      throw new Error(`HTTP client ${clientName} has not been registered`)
+    }
+    return client
+  }
+
+  /**
+   * @param {import("koa").Context} context
+   * @param {Function} next
+   * @return {Promise<void>}
+   */
+  async dispatchPluginMiddlewares(context, next) {
+    const middleware = composeMiddlewares(this.pluginMiddlewares.map(entry => entry.middleware))
+    await middleware(context, next)
+  }
+
+  /**
+   * Mounts routes returned by the `collectRoutes` hook, all conflicts are reported together
+   * @param {Object<string, import("./Router.js").Route[]>} routeLists Routes by plugin id
+   */
+  addRoutes(routeLists) {
+    const errors = []
+    for (const [pluginId, routes] of Object.entries(routeLists)) {
+      if (!routes) {
+        continue
+      }
+      const prefix = this.plugins[pluginId]?.routePrefix
+      for (const route of routes) {
+        try {
+          this.router.add(pluginId, prefix, route)
+        } catch (error) {
+          errors.push(error.message)
+        }
+      }
+    }
+    if (errors.length) {
+      throw new Error(`Could not mount ${zahl(errors, "route")}:\n${errors.map(message => `  ${message}`).join("\n")}`)
+    }
+  }
+
+  /**
+   * @param {string} pluginId
+   * @param {string} memberName
+   * @param {...*} args
+   * @return {Promise<boolean>} `false` if the plugin has been removed
+   */
+  async callPluginAndCheckRemoval(pluginId, memberName, ...args) {
+    const result = await this.callPlugin(pluginId, memberName, ...args)
+    if (!this.plugins[pluginId]) {
+      return false
+    }
+    if (result === false) {
+      this.logger.info("Plugin %s wanted to be removed in %s", this.formatPluginName(pluginId), memberName)
+      await this.removePlugin(pluginId)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Loads a plugin after `init` and calls all of its lifecycle hooks
+   * @param {string} pluginId
+   * @param {Object|Function} value Plugin class or plugin instance
+   * @return {Promise<boolean>} `false` if the plugin removed itself or failed without being critical
+   */
+  async addPlugin(pluginId, value) {
+    if (!this.isReady) {
+      throw new Error(`Can not add plugin ${pluginId} before init has finished`)
+    }
+    if (this.plugins[pluginId]) {
+      throw new Error(`Plugin ${pluginId} is already loaded`)
+    }
+    const startTime = Date.now()
+    const plugin = this.createPlugin(value)
+    this.plugins[pluginId] = plugin
+    try {
+      this.updatePluginOrder()
+    } catch (error) {
+      delete this.plugins[pluginId]
+      this.updatePluginOrder()
+      throw error
+    }
+    this.pluginSources[pluginId] = value
+    this.hasPlugins = true
+    this.unusedPluginEvents.clear()
+    this.logger.info("Adding plugin %s", this.formatPluginNameDetailed(pluginId, plugin))
+    try {
+      return await this.startPlugin(pluginId, plugin, startTime)
+    } catch (error) {
+      if (this.plugins[pluginId]) {
+        this.detachPlugin(pluginId)
+        this.jobScheduler.removeByPlugin(pluginId)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Runs the lifecycle hooks of a plugin that has been added after `init`
+   * @param {string} pluginId
+   * @param {Object} plugin
+   * @param {number} startTime
+   * @return {Promise<boolean>}
+   */
+  async startPlugin(pluginId, plugin, startTime) {
+    await this.callPlugin(pluginId, "setCoreReference", this)
+    if (plugin instanceof JaidCorePlugin) {
+      plugin.core = this
+      plugin.logger = this.logger
+    }
+    const additionalConfigSetup = await this.callPlugin(pluginId, "getConfigSetup")
+    if (additionalConfigSetup) {
+      this.applyConfigSetup(additionalConfigSetup, pluginId)
+      const missingDefaults = Object.entries(additionalConfigSetup.defaults || {}).filter(([key]) => this.config[key] === undefined)
+      const validatedConfig = this.validateConfig({
+        ...this.config,
+        ...Object.fromEntries(missingDefaults),
+      }, Object.keys(additionalConfigSetup.schema || {}))
+      Object.assign(this.config, validatedConfig)
+      this.updateRedactedValues()
+      if (missingDefaults.length) {
+        this.logger.info("Using defaults for %s until restart: %s", zahl(missingDefaults, "config entry"), missingDefaults.map(([key]) => key).join(", "))
+      }
+    }
+    if (!await this.callPluginAndCheckRemoval(pluginId, "preInit")) {
+      return false
+    }
+    if (!await this.callPluginAndCheckRemoval(pluginId, "handleConfig", this.config)) {
+      return false
+    }
+    if (plugin instanceof JaidCorePlugin) {
+      plugin.config = this.config
+    }
+    if (this.koa) {
+      await this.callPlugin(pluginId, "handleKoa", this.koa)
+      const routes = await this.callPlugin(pluginId, "collectRoutes")
+      this.addRoutes({[pluginId]: routes})
+    }
+    if (this.got) {
+      await this.callPlugin(pluginId, "handleGot", this.got)
+    }
+    if (this.socketServer) {
+      await this.callPlugin(pluginId, "handleSockets", this.socketServer)
+    }
+    let models = []
+    if (hasContent(this.databases)) {
+      const modelMap = await this.callPlugin(pluginId, "collectModels")
+      if (modelMap) {
+        this.registerModelMaps({[pluginId]: modelMap})
+        const modelConnections = Object.entries(modelMap).map(([modelName, modelDefinition]) => {
+          const connectionName = modelDefinition.connection ?? modelDefinition.default?.connection ?? "default"
+          return [this.getDatabase(connectionName).models[modelName], connectionName]
+        })
+        models = modelConnections.map(([model]) => model)
+        for (const model of models.filter(({associate}) => associate)) {
+          model.associate(model.sequelize.models)
+        }
+        for (const [model, connectionName] of modelConnections) {
+          const syncOptions = {
+            sync: {},
+            alter: {alter: true},
+            force: {force: true},
+          }[this.config[this.getDatabaseConfigKey(connectionName, "schemaSync")]]
+          if (syncOptions) {
+            await model.sync(syncOptions)
+          }
+        }
+      }
+      const migrations = this.migrator ? await this.callPlugin(pluginId, "collectMigrations") : null
+      if (migrations) {
+        this.assertMigrationConnections({[pluginId]: migrations})
+        this.migrator.addMigrations({[pluginId]: migrations})
+        if (this.config.databaseSchemaSync === "migrate") {
+          await this.migrator.migrate()
+        }
+      }
+      const seedMap = await this.callPlugin(pluginId, "collectSeeds")
+      if (seedMap) {
+        await this.seeder.seed({[pluginId]: seedMap})
+      }
+    }
+    if (!await this.callPluginAndCheckRemoval(pluginId, "init")) {
+      return false
+    }
+    for (const model of models.filter(({start}) => start)) {
+      await model.start()
+    }
+    if (!await this.callPluginAndCheckRemoval(pluginId, "postInit")) {
+      return false
+    }
+    const healthCheckMap = await this.callPlugin(pluginId, "collectHealthChecks")
+    this.addHealthChecks(pluginId, healthCheckMap)
+    const jobMap = await this.callPlugin(pluginId, "collectJobs")
+    this.jobScheduler.add(pluginId, jobMap)
+    await this.callPlugin(pluginId, "ready")
+    if (!this.plugins[pluginId]) {
+      return false
+    }
+    this.logger.info("Added plugin %s in %s", this.formatPluginName(pluginId), readableMs(Date.now() - startTime))
+    await this.runPluginHook("pluginAdded", [pluginId, plugin], false, this.pluginOrder.filter(id => id !== pluginId))
+    return true
+  }
+
+  /**
+   * Stops the jobs of a plugin, calls its close hooks, detaches its middlewares and health checks and unloads it
+   * @param {string} pluginId
+   * @return {Promise<void>}
+   */
+  async removePlugin(pluginId) {
+    const plugin = this.plugins[pluginId]
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} is not loaded`)
+    }
+    // Dependencies are read again, because the plugin order gets updated from the current plugin properties after the plugin has been closed
+    const {requiredDependencies} = sortPlugins(this.plugins)
+    const dependentIds = Object.entries(requiredDependencies).filter(([, dependencyIds]) => dependencyIds.includes(pluginId)).map(([id]) => id)
+    if (dependentIds.length) {
+      throw new Error(`Plugin ${pluginId} can not be removed, because it is required by: ${dependentIds.join(", ")}`)
+    }
+    await this.jobScheduler.removeByPlugin(pluginId)
+    for (const memberName of ["preClose", "close", "postClose"]) {
+      try {
+        await this.callPlugin(pluginId, memberName)
+      } catch (error) {
+        this.logger.error("Plugin %s failed in %s while being removed: %s", this.formatPluginName(pluginId), memberName, error)
+      }
+    }
+    const middlewareCount = this.detachPlugin(pluginId)
+    this.logger.info("Removed plugin %s (detached %s)", this.formatPluginName(pluginId), zahl(middlewareCount, "middleware"))
+    await this.callPlugins("pluginRemoved", pluginId, plugin)
+  }
+
+  /**
+   * Unloads a plugin together with its middlewares, routes, health checks and services, without calling any hooks, its jobs have to be removed separately
+   * @param {string} pluginId
+   * @return {number} Number of detached middlewares
+   */
+  detachPlugin(pluginId) {
+    const middlewareCount = this.pluginMiddlewares.filter(entry => entry.pluginId === pluginId).length
+    this.pluginMiddlewares = this.pluginMiddlewares.filter(entry => entry.pluginId !== pluginId)
+    this.router.removeByPlugin(pluginId)
+    for (const [checkName, healthCheck] of Object.entries(this.healthChecks)) {
+      if (healthCheck.pluginId === pluginId) {
+        delete this.healthChecks[checkName]
       }
     }
+    const serviceNames = this.services.removeByPlugin(pluginId)
+    if (serviceNames.length) {
+      this.logger.info("Withdrew %s of plugin %s: %s", zahl(serviceNames, "service"), this.formatPluginName(pluginId), serviceNames.join(", "))
+    }
+    delete this.plugins[pluginId]
+    this.updatePluginOrder()
+    return middlewareCount
+  }
+
+  /**
+   * Removes a plugin and adds it again from the value it has been created from
+   * @param {string} pluginId
+   * @return {Promise<boolean>}
+   */
+  async reloadPlugin(pluginId) {
+    const value = this.pluginSources[pluginId]
+    await this.removePlugin(pluginId)
+    return this.addPlugin(pluginId, value)
   }
 
   /**
@@ -442,14 +2617,10 @@ export default class JaidCore {
       const pluginEntries = Object.entries(plugins)
       this.hasPlugins = pluginEntries.length > 0
       for (const [pluginId, value] of pluginEntries) {
-        let plugin
-        if (isClass(value)) {
-          plugin = new value(this)
-        } else {
-          plugin = value
-        }
-        this.plugins[pluginId] = plugin
+        this.plugins[pluginId] = this.createPlugin(value)
+        this.pluginSources[pluginId] = value
       }
+      this.updatePluginOrder()
       if (hasContent(this.plugins)) {
         this.logger.info(`${zahl(this.plugins, "plugin")}: ${Object.entries(this.plugins).map(([pluginId, plugin]) => this.formatPluginNameDetailed(pluginId, plugin)).join(", ")}`)
       }
@@ -458,19 +2629,26 @@ export default class JaidCore {
         plugin.core = this
         plugin.logger = this.logger
       })
-      await this.gatherConfigSetups()
+      await this.lifecycleReport.measure("gatherConfigSetups", () => this.gatherConfigSetups())
       await this.callAndRemovePlugins("preInit")
+      const loadConfigStartTime = Date.now()
       /**
        * @type {import("essential-config").Result}
        */
       const configResult = essentialConfig(this.appPath, this.configSetup)
+      this.lifecycleReport.add("loadConfig", null, loadConfigStartTime)
       if (hasContent(configResult.newKeys)) {
         this.logger.info("Added %s to config: %s", zahl(configResult.newKeys, "new entry"), configResult.newKeys.join(", "))
       }
       if (hasContent(configResult.deprecatedKeys)) {
         this.logger.warn("Config contains %s: %s", zahl(configResult.deprecatedKeys, "no longer needed entry"), configResult.deprecatedKeys.join(", "))
       }
-      Object.assign(this.config, configResult.config)
+      this.configFolder = configResult.configFolder
+      const storedConfig = await this.applySecretStore(configResult.config)
+      const overriddenConfig = await this.applyConfigOverrides(storedConfig)
+      this.loadedConfig = this.validateConfig(overriddenConfig)
+      Object.assign(this.config, this.loadedConfig)
+      this.updateRedactedValues()
       if (hasContent(this.config.disabledPlugins)) {
         const successfullyDisabledPlugins = []
         for (const disabledPlugin of ensureArray(this.config.disabledPlugins)) {
@@ -483,40 +2661,27 @@ export default class JaidCore {
         }
         if (hasContent(successfullyDisabledPlugins)) {
           this.logger.info(`${zahl(successfullyDisabledPlugins, "plugin")} will be skipped because of config.disabledPlugins: ${successfullyDisabledPlugins.join(", ")}`)
+          this.updatePluginOrder()
         }
       }
       await this.callAndRemovePlugins("handleConfig", this.config)
       this.doForManagedPluginsSync(plugin => {
         plugin.config = this.config
       })
+      if (this.options.jobQueue) {
+        if (!this.hasDatabase) {
+          throw new Error("Core option jobQueue needs the core option database or sqlite")
+        }
+        this.jobQueue = new JobQueue(this, this.jobScheduler)
+      }
       let Sequelize
-      if (this.hasDatabase) {
+      if (hasContent(this.databaseConnections)) {
         Sequelize = __non_webpack_require__("sequelize")
-        const sequelizeOptions = {}
-        if (this.options.sqlite) {
-          Object.assign(sequelizeOptions, {
-            dialect: "sqlite",
-            storage: this.config.databasePath,
-          })
-        } else {
-          Object.assign(sequelizeOptions, {
-            dialect: this.config.databaseDialect,
-            host: this.config.databaseHost,
-            port: this.config.databasePort,
-            database: this.config.databaseName,
-            username: this.config.databaseUser,
-            password: this.config.databasePassword,
-            timezone: this.config.timezone,
-          })
+        this.Sequelize = Sequelize
+        for (const [connectionName, connectionOptions] of Object.entries(this.databaseConnections)) {
+          this.databases[connectionName] = this.createDatabase(connectionName, connectionOptions)
         }
-        this.database = new Sequelize({
-          benchmark: true,
-          logging: line => {
-            this.logger.log(this.options.databaseLogLevel, line)
-          },
-          ...sequelizeOptions,
-          ...this.options.sequelizeOptions,
-        })
+        this.database = this.databases.default ?? null
       }
       if (this.hasServer) {
         const Koa = __non_webpack_require__("koa")
@@ -524,6 +2689,31 @@ export default class JaidCore {
          * @type {import("koa")}
          */
         this.koa = new Koa()
+        this.koa.use(async (context, next) => {
+          const incomingRequestId = context.get("X-Request-Id")
+          const requestId = /^[\w.:@-]{1,200}$/.test(incomingRequestId) ? incomingRequestId : crypto.randomUUID()
+          context.state.requestId = requestId
+          context.set("X-Request-Id", requestId)
+          await this.requestContext.run({requestId}, next)
+        })
+        this.koa.use(async (context, next) => {
+          this.activeRequests++
+          const startTime = Date.now()
+          try {
+            await next()
+          } finally {
+            this.activeRequests--
+            const labels = {
+              method: context.method,
+              status: String(context.status),
+            }
+            this.metrics.increment("http_requests_total", labels)
+            this.metrics.observe("http_request_duration_seconds", labels, (Date.now() - startTime) / 1000)
+          }
+          if (this.isClosing && context.req.httpVersionMajor < 2) {
+            context.set("Connection", "close")
+          }
+        })
         this.koa.use(async (context, next) => {
           await next()
           const responseTime = context.response.get("X-Response-Time")
@@ -534,52 +2724,148 @@ export default class JaidCore {
           await next()
           context.set("X-Response-Time", Date.now() - startTime)
         })
-        if (this.koaSession) {
+        this.koa.use(async (context, next) => {
+          try {
+            await next()
+          } catch (error) {
+            await this.respondWithError(context, error)
+          }
+        })
+        if (this.options.healthEndpoints) {
+          const paths = this.options.healthEndpoints === true ? {} : this.options.healthEndpoints
+          this.koa.use(createHealthMiddleware(this, paths))
+        }
+        if (this.options.koaSession) {
           if (isEmpty(this.config.koaKeys)) {
-            throw new Error("config.koaKeys is not set")
+            throw new Error("config.koaKeys is not set, set it in secrets.yml or enable the core option secretStore to generate it")
           }
           this.koa.keys = ensureArray(this.config.koaKeys)
+          const {store, ...koaSessionOptions} = this.options.koaSession === true ? {} : this.options.koaSession
+          this.sessionStore = this.createSessionStore(store)
           const sessionConfig = {
-            ...this.options.koaSession,
+            ...koaSessionOptions,
+            maxAge: this.config.sessionMaxAge,
+            renew: this.config.sessionRenew,
+            sameSite: this.config.sessionSameSite,
             signed: true,
           }
+          if (this.sessionStore) {
+            sessionConfig.store = this.sessionStore
+          }
           const koaSession = __non_webpack_require__("koa-session")
-          this.koa.use(koaSession(sessionConfig, this.koa))
+          this.sessionMiddleware = koaSession(sessionConfig, this.koa)
+          this.koa.use(this.sessionMiddleware)
         }
+        this.koa.use((context, next) => this.dispatchPluginMiddlewares(context, next))
+        this.koa.use((context, next) => this.router.dispatch(context, next))
         await this.callPlugins("handleKoa", this.koa)
+        const routeLists = await this.callPlugins("collectRoutes")
+        this.addRoutes(routeLists)
+        if (this.router.routes.length) {
+          this.logger.info("%s:\n%s", zahl(this.router.routes, "route"), this.router.formatTable())
+        }
       }
       if (this.options.useGot) {
+        // got is an ES module only, webpackIgnore keeps the native import in the bundle
         /**
-         * @type {import("got")}
+         * @type {typeof import("got")}
          */
-        const got = __non_webpack_require__("got")
+        const {default: got} = await import(/* webpackIgnore: true */ "got")
+        if (this.options.gotCache) {
+          this.httpCache = await this.createHttpCache(this.options.gotCache === true ? {} : this.options.gotCache)
+        }
+        if (this.options.gotMode !== "live") {
+          if (!["record", "replay"].includes(this.options.gotMode)) {
+            throw new Error(`Unknown gotMode ${this.options.gotMode}, expected "live", "record" or "replay"`)
+          }
+          const fixturesFolder = this.options.gotFixtures.folder ?? path.join(this.appFolder, "gotFixtures")
+          this.gotRecorder = new GotRecorder(this.options.gotMode, {
+            folder: fixturesFolder,
+            match: this.options.gotFixtures.match ?? ["method", "url", "body"],
+            redactHeaders: this.options.gotFixtures.redactHeaders ?? ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key"],
+            redact: value => this.redactString(value),
+          })
+          if (this.options.gotMode === "record") {
+            this.logger.info("Recording got responses to %s", fixturesFolder)
+          } else {
+            this.logger.info("Replaying got responses from %s", fixturesFolder)
+          }
+        }
+        // Responses from the cache have no timings, so their duration is measured from the beforeRequest hook
+        const requestStartTimes = new WeakMap
         this.got = got.extend({
           headers: {
             "User-Agent": `${this.camelName}/${this.options.version}`,
           },
+          cache: this.httpCache || undefined,
           hooks: {
+            beforeRequest: [
+              options => {
+                requestStartTimes.set(options, Date.now())
+                const requestId = this.requestContext.getStore()?.requestId
+                if (requestId && !options.headers["x-request-id"]) {
+                  options.headers["x-request-id"] = requestId
+                }
+              },
+            ],
             afterResponse: [
               response => {
+                const duration = response.timings?.phases.total ?? Date.now() - requestStartTimes.get(response.request.options)
                 const displayUrl = preventStart(response.requestUrl, "https://")
                 const croppedUrl = cropString(displayUrl, 300)
-                this.logger.log(this.options.gotLogLevel, `[${response.statusCode} ${response.statusMessage} in ${readableMs(response.timings.phases.total)}] ▶︎ ${response.request.options.method} ${chalk.yellow(croppedUrl)}`)
+                let cacheMarker = ""
+                if (response.isFromCache) {
+                  cacheMarker = " (cached)"
+                } else if (response.isReplayed) {
+                  cacheMarker = " (replayed)"
+                }
+                this.logger.log(this.options.gotLogLevel, `[${response.statusCode} ${response.statusMessage}${cacheMarker} in ${readableMs(duration)}] ▶︎ ${response.request.options.method} ${chalk.yellow(croppedUrl)}`)
+                const labels = {
+                  method: response.request.options.method,
+                  host: response.request.options.url.host,
+                  status: String(response.statusCode),
+                }
+                this.metrics.increment("got_requests_total", labels)
+                this.metrics.observe("got_request_duration_seconds", labels, duration / 1000)
                 return response
               },
             ],
           },
+        }, {
+          hooks: this.gotRecorder?.getHooks() ?? {},
+        }, {
+          retry: this.httpPolicies.getRetryOptions(),
+          hooks: this.httpPolicies.getHooks(),
         })
         await this.callPlugins("handleGot", this.got)
       }
       if (this.hasInsecureServer) {
         const {createServer} = __non_webpack_require__(this.options.http2 ? "http2" : "http")
         this.insecureServer = createServer(this.koa.callback())
+        this.trackConnections(this.insecureServer)
       }
       if (this.hasSecureServer) {
-        const {createSecureServer} = __non_webpack_require__(this.options.http2 ? "http2" : "https")
-        this.secureServer = createSecureServer(this.koa.callback())
+        const tlsOptions = await this.loadTlsOptions()
+        if (this.options.http2) {
+          const {createSecureServer} = __non_webpack_require__("http2")
+          this.secureServer = createSecureServer({
+            ...tlsOptions,
+            allowHTTP1: true,
+          }, this.koa.callback())
+        } else {
+          const {createServer} = __non_webpack_require__("https")
+          this.secureServer = createServer(tlsOptions, this.koa.callback())
+        }
+        this.trackConnections(this.secureServer)
+        this.watchTlsFiles()
       }
-      if (this.hasDatabase) {
-        if (this.database.options.dialect === "postgres") {
+      if (this.options.sockets) {
+        this.createSocketServer(this.options.sockets === true ? {} : this.options.sockets)
+        await this.callPlugins("handleSockets", this.socketServer)
+      }
+      if (hasContent(this.databases)) {
+        const connectStartTime = Date.now()
+        if (this.database?.options.dialect === "postgres") {
           try {
             const {create} = __non_webpack_require__("pg-create-drop-db")
             await create({
@@ -599,60 +2885,80 @@ export default class JaidCore {
             this.logger.info("Ensured existence of %s", zahl(this.databaseExtensions, "database extension"))
           }
         }
-        await this.database.authenticate()
+        for (const database of Object.values(this.databases)) {
+          await database.authenticate()
+        }
+        this.lifecycleReport.add("connectDatabase", null, connectStartTime)
         const modelMaps = await this.callPlugins("collectModels")
-        const staticModelNames = []
-        const dynamicModelNames = []
-        if (modelMaps) {
-          for (const [pluginName, modelMap] of Object.entries(modelMaps)) {
-            const plugin = plugins[pluginName]
-            for (const [modelName, modelDefinition] of Object.entries(modelMap)) {
-              if (modelDefinition.schema) {
-                this.registerModel(modelName, modelDefinition)
-                staticModelNames.push(modelName)
-              } else if (isFunction(modelDefinition)) {
-                this.registerModelDynamic(modelName, modelDefinition, Sequelize, plugin)
-                dynamicModelNames.push(modelName)
-              } else if (isFunction(modelDefinition.default)) {
-                this.registerModelDynamic(modelName, modelDefinition.default, Sequelize, plugin)
-                dynamicModelNames.push(modelName)
-              } else {
-                throw new Error(`Not sure what to do with given Sequelize model definition ${modelName}`)
-              }
-            }
-          }
+        const registerStartTime = Date.now()
+        this.registerModelMaps(modelMaps)
+        if (this.sessionStore instanceof DatabaseSessionStore) {
+          this.registerModel(this.sessionStore.modelName, this.sessionStore.getModelDefinition(Sequelize))
         }
-        const models = Object.values(this.database.models)
+        if (this.jobQueue) {
+          this.registerModel(this.jobQueue.modelName, this.jobQueue.getModelDefinition(Sequelize))
+        }
+        this.lifecycleReport.add("registerModels", null, registerStartTime)
+        const models = Object.values(this.databases).flatMap(database => Object.values(database.models))
         if (models.length === 0) {
           this.logger.warn("No models have been registered, that's weird")
         } else {
-          if (staticModelNames.length) {
-            this.logger.info(`${zahl(staticModelNames, "static model definition")} loaded: ${staticModelNames.join(", ")}`)
-          }
-          if (dynamicModelNames.length) {
-            this.logger.info(`${zahl(dynamicModelNames, "dynamic model definition")} generated: ${dynamicModelNames.join(", ")}`)
-          }
           const modelsWithAssociate = models.filter(model => model.associate)
           if (modelsWithAssociate.length > 0) {
+            const associateStartTime = Date.now()
             for (const model of modelsWithAssociate) {
-              model.associate(this.database.models)
+              model.associate(model.sequelize.models)
             }
+            this.lifecycleReport.add("associate", null, associateStartTime)
             this.logger.debug("Called associate on %s", zahl(modelsWithAssociate, "model"))
           }
-          if (this.config.databaseSchemaSync === "sync") {
-            await this.database.sync()
+          const syncStartTime = Date.now()
+          let hasSynced = false
+          for (const [connectionName, database] of Object.entries(this.databases)) {
+            const syncOptions = {
+              sync: {},
+              alter: {alter: true},
+              force: {force: true},
+            }[this.config[this.getDatabaseConfigKey(connectionName, "schemaSync")]]
+            if (syncOptions && hasContent(database.models)) {
+              await database.sync(syncOptions)
+              hasSynced = true
+            }
           }
-          if (this.config.databaseSchemaSync === "force") {
-            await this.database.sync({
-              force: true,
-            })
+          if (hasSynced) {
+            this.lifecycleReport.add("sync", null, syncStartTime)
           }
-          if (this.config.databaseSchemaSync === "alter") {
-            await this.database.sync({
-              alter: true,
-            })
+        }
+      }
+      if (this.database) {
+        this.migrator = new Migrator(this, Sequelize)
+        const migrationLists = await this.callPlugins("collectMigrations")
+        this.assertMigrationConnections(migrationLists)
+        this.migrator.addMigrations(migrationLists)
+        if (this.config.databaseSchemaSync === "migrate") {
+          await this.lifecycleReport.measure("migrate", () => this.migrator.migrate())
+        } else if (this.migrator.migrations.length) {
+          this.logger.warn("Plugins provided %s, but config.databaseSchemaSync is not \"migrate\"", zahl(this.migrator.migrations, "migration"))
+        }
+        if (this.sessionStore instanceof DatabaseSessionStore && !["sync", "force", "alter"].includes(this.config.databaseSchemaSync)) {
+          await this.sessionStore.getModel().sync()
+        }
+        if (this.jobQueue && !["sync", "force", "alter"].includes(this.config.databaseSchemaSync)) {
+          await this.jobQueue.getModel().sync()
+        }
+      }
+      if (hasContent(this.databases)) {
+        this.seeder = new Seeder(this, Sequelize)
+        for (const [connectionName, database] of Object.entries(this.databases)) {
+          if (this.config[this.getDatabaseConfigKey(connectionName, "schemaSync")] === "force") {
+            await this.seeder.reset(database)
           }
         }
+        const seedMaps = await this.callPlugins("collectSeeds")
+        await this.lifecycleReport.measure("seed", () => this.seeder.seed(seedMaps))
+        if (this.options.fixtures) {
+          await this.lifecycleReport.measure("loadFixtures", () => this.seeder.loadFixtures(ensureArray(this.options.fixtures)))
+        }
       }
       await this.callAndRemovePlugins("init")
       if (this.hasInsecureServer) {
@@ -663,20 +2969,56 @@ export default class JaidCore {
         this.secureServer.listen(this.config.securePort)
         this.logger.info("Started secure server on port %s", this.config.securePort)
       }
-      if (this.database) {
-        const modelsWithStart = Object.values(this.database.models).filter(model => model.start)
+      if (this.options.handleSignals) {
+        this.installSignalHandlers()
+      }
+      if (hasContent(this.databases)) {
+        const modelsWithStart = Object.values(this.databases).flatMap(database => Object.values(database.models)).filter(model => model.start)
         if (modelsWithStart.length > 0) {
           const startTime = Date.now()
           const startJobs = modelsWithStart.map(async model => {
             await model.start()
           })
           await Promise.all(startJobs)
+          this.lifecycleReport.add("startModels", null, startTime)
           this.logger.debug("Called start on %s in %s", zahl(modelsWithStart, "model"), readableMs(Date.now() - startTime))
         }
       }
       await this.callAndRemovePlugins("postInit")
+      const healthCheckMaps = await this.callPlugins("collectHealthChecks")
+      for (const [pluginId, healthCheckMap] of Object.entries(healthCheckMaps)) {
+        this.addHealthChecks(pluginId, healthCheckMap)
+      }
+      const jobMaps = await this.callPlugins("collectJobs")
+      for (const [pluginId, jobMap] of Object.entries(jobMaps)) {
+        this.jobScheduler.add(pluginId, jobMap)
+      }
       await this.callPlugins("ready")
+      const unresolvedServiceNames = this.services.getUnresolvedNames()
+      if (unresolvedServiceNames.length) {
+        this.logger.warn("Plugins requested %s that no plugin provided: %s", zahl(unresolvedServiceNames, "service"), unresolvedServiceNames.join(", "))
+      }
+      this.isReady = true
+      if (this.options.configReloadInterval) {
+        this.watchConfigFiles()
+      }
+      if (isFunction(this.sessionStore?.cleanup)) {
+        this.sessionCleanupInterval = setInterval(() => this.cleanupSessions(), this.options.sessionCleanupInterval)
+        this.sessionCleanupInterval.unref()
+      }
+      this.jobScheduler.start()
+      if (this.jobQueue) {
+        await this.jobQueue.start(this.options.jobPollInterval, this.options.jobLockTimeout)
+      }
+      if (this.jobScheduler.jobs.size) {
+        this.logger.info("Started %s: %s", zahl(this.jobScheduler.jobs.size, "job"), [...this.jobScheduler.jobs.keys()].join(", "))
+      }
       this.logger.info("Ready after %s", readableMs(Date.now() - this.startTime.getTime()))
+      this.logger.log(this.options.lifecycleReportLogLevel, "Startup timings:\n%s", this.lifecycleReport.formatTable())
+      if (this.options.lifecycleTrace) {
+        const traceFile = await this.lifecycleReport.writeTrace(this.logFolder)
+        this.logger.info("Wrote startup trace to %s", traceFile)
+      }
     } catch (error) {
       this.logger.error("Could not initialize: %s", error)
       throw error
@@ -0,0 +1,3 @@
+import commonJsModule from "crop-string"
+
+export default commonJsModule.default
\ No newline at end of file
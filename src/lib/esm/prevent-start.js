@@ -0,0 +1,3 @@
+import commonJsModule from "prevent-start"
+
+export default commonJsModule.default
\ No newline at end of file
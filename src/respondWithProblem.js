@@ -0,0 +1,17 @@
+/**
+ * Responds with an RFC 7807 problem document
+ * @param {import("koa").Context} context
+ * @param {number} status
+ * @param {string} title
+ * @param {Object} [extra] Additional problem members, they can set `type`, but not replace `title` and `status`
+ */
+export default (context, status, title, extra) => {
+  context.status = status
+  context.body = {
+    ...extra,
+    type: extra?.type ?? "about:blank",
+    title,
+    status,
+  }
+  context.type = "application/problem+json"
+}
\ No newline at end of file
@@ -0,0 +1,67 @@
+import {uniq} from "lodash-es"
+
+/**
+ * @typedef {Object} PluginGraph
+ * @prop {string[]} order Plugin ids sorted so that every plugin comes after all of its dependencies
+ * @prop {Object<string, string[]>} dependencies Resolved dependencies (required and present optional ones) per plugin id
+ * @prop {Object<string, string[]>} requiredDependencies Required dependencies per plugin id
+ */
+
+/**
+ * @param {Object} plugin
+ * @param {string} key
+ * @return {string[]}
+ */
+const getDeclaredDependencies = (plugin, key) => plugin[key] ? uniq([plugin[key]].flat()) : []
+
+/**
+ * Sorts plugins topologically by their `dependencies` and `optionalDependencies` properties
+ * @param {Object<string, Object>} plugins
+ * @return {PluginGraph}
+ */
+export default plugins => {
+  const pluginIds = Object.keys(plugins)
+  const dependencies = {}
+  const requiredDependencies = {}
+  const missingDependencies = []
+  for (const pluginId of pluginIds) {
+    const plugin = plugins[pluginId]
+    const requiredIds = getDeclaredDependencies(plugin, "dependencies")
+    const optionalIds = getDeclaredDependencies(plugin, "optionalDependencies")
+    for (const requiredId of requiredIds) {
+      if (!plugins[requiredId]) {
+        missingDependencies.push(`${pluginId} → ${requiredId}`)
+      }
+    }
+    requiredDependencies[pluginId] = requiredIds
+    dependencies[pluginId] = uniq([...requiredIds, ...optionalIds]).filter(dependencyId => plugins[dependencyId])
+  }
+  if (missingDependencies.length) {
+    throw new Error(`Missing plugin dependencies: ${missingDependencies.join(", ")}`)
+  }
+  const order = []
+  const states = {}
+  const visit = (pluginId, stack) => {
+    if (states[pluginId] === "done") {
+      return
+    }
+    if (states[pluginId] === "visiting") {
+      const cycle = [...stack.slice(stack.indexOf(pluginId)), pluginId]
+      throw new Error(`Circular plugin dependency: ${cycle.join(" → ")}`)
+    }
+    states[pluginId] = "visiting"
+    for (const dependencyId of dependencies[pluginId]) {
+      visit(dependencyId, [...stack, pluginId])
+    }
+    states[pluginId] = "done"
+    order.push(pluginId)
+  }
+  for (const pluginId of pluginIds) {
+    visit(pluginId, [])
+  }
+  return {
+    order,
+    dependencies,
+    requiredDependencies,
+  }
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+import {isPlainObject} from "lodash-es"
+
+/**
+ * @typedef {"string"|"number"|"integer"|"boolean"|"array"|"object"|"null"} SchemaType
+ */
+
+/**
+ * JSON-Schema-style description of a single config value
+ * @typedef {Object} ConfigSchema
+ * @prop {SchemaType|SchemaType[]} [type]
+ * @prop {Array} [enum]
+ * @prop {number} [minimum]
+ * @prop {number} [maximum]
+ * @prop {number} [minLength]
+ * @prop {number} [maxLength]
+ * @prop {string} [pattern]
+ * @prop {ConfigSchema} [items] Schema for every entry of an array
+ * @prop {number} [minItems]
+ * @prop {number} [maxItems]
+ * @prop {boolean} [required] If `true`, the value must not be empty
+ */
+
+/**
+ * @typedef {Object} ConfigValidationError
+ * @prop {string} key
+ * @prop {string} message
+ */
+
+const booleanStrings = {
+  true: true,
+  yes: true,
+  on: true,
+  1: true,
+  false: false,
+  no: false,
+  off: false,
+  0: false,
+}
+
+/**
+ * Converts a value to the given type if that is possible without losing information
+ * @param {*} value
+ * @param {SchemaType} type
+ * @return {{matches: boolean, value?: *}}
+ */
+const coerce = (value, type) => {
+  if (type === "null") {
+    return {
+      matches: value === null,
+      value,
+    }
+  }
+  if (type === "string") {
+    if (typeof value === "string") {
+      return {
+        matches: true,
+        value,
+      }
+    }
+    if (typeof value === "number" || typeof value === "boolean") {
+      return {
+        matches: true,
+        value: String(value),
+      }
+    }
+    return {matches: false}
+  }
+  if (type === "number" || type === "integer") {
+    let number = value
+    if (typeof value === "string" && value.trim() !== "") {
+      number = Number(value.trim())
+    }
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return {matches: false}
+    }
+    if (type === "integer" && !Number.isInteger(number)) {
+      return {matches: false}
+    }
+    return {
+      matches: true,
+      value: number,
+    }
+  }
+  if (type === "boolean") {
+    if (typeof value === "boolean") {
+      return {
+        matches: true,
+        value,
+      }
+    }
+    const normalizedValue = String(value).trim().toLowerCase()
+    if (booleanStrings[normalizedValue] === undefined) {
+      return {matches: false}
+    }
+    return {
+      matches: true,
+      value: booleanStrings[normalizedValue],
+    }
+  }
+  if (type === "array") {
+    if (Array.isArray(value)) {
+      return {
+        matches: true,
+        value,
+      }
+    }
+    if (typeof value === "string") {
+      return {
+        matches: true,
+        value: value.split(",").map(entry => entry.trim()).filter(Boolean),
+      }
+    }
+    return {matches: false}
+  }
+  if (type === "object") {
+    return {
+      matches: isPlainObject(value),
+      value,
+    }
+  }
+  throw new Error(`Unknown schema type ${type}`)
+}
+
+/**
+ * @param {*} value
+ * @return {string}
+ */
+const formatValue = value => JSON.stringify(value) ?? String(value)
+
+/**
+ * @param {*} value
+ * @param {ConfigSchema} schema
+ * @param {string} key
+ * @param {ConfigValidationError[]} errors
+ * @return {*} Coerced value
+ */
+const validateValue = (value, schema, key, errors) => {
+  let result = value
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    const match = types.map(type => coerce(value, type)).find(coercion => coercion.matches)
+    if (!match) {
+      errors.push({
+        key,
+        message: `must be of type ${types.join(" or ")}, but is ${formatValue(value)}`,
+      })
+      return value
+    }
+    result = match.value
+  }
+  if (schema.enum) {
+    const enumValue = schema.enum.find(entry => entry === result || String(entry) === String(result))
+    if (enumValue === undefined) {
+      errors.push({
+        key,
+        message: `must be one of ${schema.enum.map(formatValue).join(", ")}, but is ${formatValue(result)}`,
+      })
+      return result
+    }
+    result = enumValue
+  }
+  if (typeof result === "number") {
+    if (schema.minimum !== undefined && result < schema.minimum) {
+      errors.push({
+        key,
+        message: `must be at least ${schema.minimum}, but is ${result}`,
+      })
+    }
+    if (schema.maximum !== undefined && result > schema.maximum) {
+      errors.push({
+        key,
+        message: `must be at most ${schema.maximum}, but is ${result}`,
+      })
+    }
+  }
+  if (typeof result === "string") {
+    if (schema.minLength !== undefined && result.length < schema.minLength) {
+      errors.push({
+        key,
+        message: `must have at least ${schema.minLength} characters`,
+      })
+    }
+    if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+      errors.push({
+        key,
+        message: `must have at most ${schema.maxLength} characters`,
+      })
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(result)) {
+      errors.push({
+        key,
+        message: `must match ${schema.pattern}, but is ${formatValue(result)}`,
+      })
+    }
+  }
+  if (Array.isArray(result)) {
+    if (schema.minItems !== undefined && result.length < schema.minItems) {
+      errors.push({
+        key,
+        message: `must have at least ${schema.minItems} entries`,
+      })
+    }
+    if (schema.maxItems !== undefined && result.length > schema.maxItems) {
+      errors.push({
+        key,
+        message: `must have at most ${schema.maxItems} entries`,
+      })
+    }
+    if (schema.items) {
+      result = result.map((entry, index) => validateValue(entry, schema.items, `${key}[${index}]`, errors))
+    }
+  }
+  return result
+}
+
+/**
+ * Validates config values against their schemas and coerces them to the declared types, for example `"8080"` to `8080` or `"a, b"` to `["a", "b"]`
+ * Empty values (`undefined`, `null` and `""`) are only reported if the schema has `required: true`
+ * @param {Object<string, *>} config
+ * @param {Object<string, ConfigSchema>} schemas
+ * @return {{config: Object<string, *>, errors: ConfigValidationError[]}} A copy of the config with coerced values
+ */
+export default (config, schemas) => {
+  const errors = []
+  const coercedConfig = {...config}
+  for (const [key, schema] of Object.entries(schemas)) {
+    const value = config[key]
+    if (value === undefined || value === null || value === "") {
+      if (schema.required) {
+        errors.push({
+          key,
+          message: "is required, but empty",
+        })
+      }
+      continue
+    }
+    coercedConfig[key] = validateValue(value, schema, key, errors)
+  }
+  return {
+    config: coercedConfig,
+    errors,
+  }
+}
\ No newline at end of file
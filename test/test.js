@@ -1,3 +1,5 @@
+import fs from "node:fs"
+import os from "node:os"
 import path from "node:path"
 import {fileURLToPath, pathToFileURL} from "node:url"
 
@@ -5,9 +7,7 @@ import cleanStack from "clean-stack"
 import delay from "delay"
 import {router} from "fast-koa-router"
 import moment from "moment"
-import readFileString from "read-file-string"
 import Sequelize from "sequelize"
-import {Server} from "socket.io"
 import ioClient from "socket.io-client"
 import socketIoMsgpackParser from "socket.io-msgpack-parser"
 
@@ -17,7 +17,7 @@ const indexPath = process.env.MAIN ?? path.join(dirName, "..", "src", "index.js"
 /**
  * @type { import("../src") }
  */
-const {default: JaidCore, JaidCorePlugin} = await import(pathToFileURL(indexPath))
+const {default: JaidCore, HttpError, JaidCorePlugin} = await import(pathToFileURL(indexPath))
 
 const port = 15_183
 
@@ -33,6 +33,13 @@ it("should run", async () => {
     database: true,
     useGot: true,
     sqlite: true,
+    sockets: {
+      parser: "msgpack",
+      cors: {
+        origin: "*",
+        methods: ["GET", "POST"],
+      },
+    },
   })
   let requestReceived = false
   let pluginCalled = false
@@ -80,29 +87,13 @@ it("should run", async () => {
   }
   const socketPluginClass = class extends JaidCorePlugin {
 
-    async init() {
-      this.socketServer = new Server(core.insecureServer, {
-        parser: socketIoMsgpackParser,
-        serveClient: false,
-        cors: {
-          origin: "*",
-          methods: ["GET", "POST"],
-        },
-      })
-
-      this.socketServer.on("connection", client => {
+    handleSockets(socketServer) {
+      socketServer.on("connection", client => {
         receivedKey = client.handshake.query.key
         this.logger.info("Client has connected!")
-        this.client = client
       })
     }
 
-    close() {
-      if (this.client) {
-        this.client.disconnect()
-      }
-    }
-
   }
   await core.init({
     main: mainPluginClass,
@@ -161,10 +152,137 @@ it("should run", async () => {
   await core.close()
   const dateString = moment().format("YYYY-MM-DD")
   const logFile = path.join(core.logger.logFolder, "debug", `${dateString}.txt`)
-  const content = await readFileString(logFile)
+  const content = await fs.promises.readFile(logFile, "utf8")
   expect(content).toMatch("3 plugins: main (self-managed), removeMe (self-managed), socketServer (auto-managed)")
 }, 10 * 1000)
 
+it("should run in a test instance", async () => {
+  let requestReceived = false
+  let pluginCalled = false
+  let modelCalled = false
+  let receivedKey = null
+  const modelDefinition = {
+    default: class extends Sequelize.Model {
+
+      static start() {
+        modelCalled = true
+      }
+
+    },
+    schema: {
+      color: Sequelize.STRING,
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      birthDay: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    },
+  }
+  const removePluginClass = class {
+
+    async preInit() {
+      return false
+    }
+
+  }
+  const mainPluginClass = class {
+
+    async init() {
+      pluginCalled = true
+    }
+
+    collectModels() {
+      return {
+        Cat: modelDefinition,
+      }
+    }
+
+  }
+  const socketPluginClass = class extends JaidCorePlugin {
+
+    handleSockets(socketServer) {
+      socketServer.on("connection", client => {
+        receivedKey = client.handshake.query.key
+        this.logger.info("Client has connected!")
+      })
+    }
+
+  }
+  const testInstance = await JaidCore.createTestInstance({
+    name: "jaid-core",
+    serverLogLevel: "info",
+    databaseLogLevel: "info",
+    gotLogLevel: "info",
+    useGot: true,
+    sqlite: true,
+    sockets: {
+      parser: "msgpack",
+      cors: {
+        origin: "*",
+        methods: ["GET", "POST"],
+      },
+    },
+  }, {
+    main: mainPluginClass,
+    removeMe: removePluginClass,
+    socketServer: socketPluginClass,
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/": async context => {
+        requestReceived = true
+        context.body = "hi"
+      },
+    },
+  }))
+  expect(core.got).toBeTruthy()
+  expect(typeof core.got.get === "function").toBeTruthy()
+  expect(Object.keys(core.plugins).length).toBe(2)
+  expect(pluginCalled).toBe(true)
+  expect(modelCalled).toBe(true)
+  const response = await request("")
+  expect(requestReceived).toBeTruthy()
+  expect(response.statusCode).toBe(200)
+  expect(response.statusMessage).toBe("OK")
+  expect(response.headers["x-response-time"]).toBeTruthy()
+  expect(response.body).toBe("hi")
+  await core.database.models.Cat.bulkCreate([
+    {
+      name: "Mia",
+      color: "grey",
+      birthDay: new Date("2013-03-16T14:00:00"),
+    },
+    {
+      name: "Aki",
+      color: "grey",
+      birthDay: new Date("2011-09-23T09:00:00"),
+    },
+  ])
+  const aki = await core.database.models.Cat.findOne({
+    where: {
+      name: "Aki",
+    },
+    attributes: ["color"],
+  })
+  expect(aki.color).toBe("grey")
+  const socketClient = ioClient(`http://localhost:${core.config.insecurePort}`, {
+    parser: socketIoMsgpackParser,
+    query: {
+      key: "mykey",
+    },
+  })
+  await delay(1000)
+  expect(socketClient.connected).toBe(true)
+  expect(receivedKey).toBe("mykey")
+  socketClient.close()
+  await testInstance.close()
+  testInstance.assertLog("3 plugins: main (self-managed), removeMe (self-managed), socketServer (auto-managed)", "info")
+}, 10 * 1000)
+
 it("should log error", async () => {
   let catchedError = false
   const core = new JaidCore({
@@ -193,4 +311,1566 @@ it("should log error", async () => {
   const errorStackPattern = new RegExp(`Cannot set property '${fieldName}' of undefined`)
   expect(cleanStack(catchedError.stack, {pretty: true})).toMatch(errorStackPattern)
   const logFolder = path.join(core.appFolder, "log", "error")
-}, 5000)
\ No newline at end of file
+}, 5000)
+
+it("should call plugins in dependency order", async () => {
+  const calls = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    last: class {
+
+      dependencies = ["middle"]
+
+      async init() {
+        calls.push("last")
+      }
+
+    },
+    middle: class {
+
+      optionalDependencies = ["first", "notLoaded"]
+
+    },
+    first: class {
+
+      async init() {
+        await delay(100)
+        calls.push("first")
+      }
+
+    },
+  })
+  expect(calls).toStrictEqual(["first", "last"])
+  await testInstance.close()
+  await expect(JaidCore.createTestInstance({insecurePort: false}, {
+    a: class {
+
+      dependencies = "b"
+
+    },
+    b: class {
+
+      dependencies = "a"
+
+    },
+  })).rejects.toThrow("Circular plugin dependency: a → b → a")
+}, 5000)
+
+it("should remove failing plugins that are not critical", async () => {
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    stuck: class {
+
+      critical = false
+
+      hookTimeout = 100
+
+      init() {
+        return new Promise(() => {})
+      }
+
+    },
+    fine: class {
+
+      init() {}
+
+    },
+  })
+  const {core} = testInstance
+  expect(Object.keys(core.plugins)).toStrictEqual(["fine"])
+  expect(core.pluginFailures[0].pluginId).toBe("stuck")
+  expect(core.pluginFailures[0].hook).toBe("init")
+  await testInstance.close()
+  const brokenError = new Error("Broken plugin")
+  const failingInstancePromise = JaidCore.createTestInstance({insecurePort: false}, {
+    broken: class {
+
+      init() {
+        throw brokenError
+      }
+
+    },
+  })
+  await expect(failingInstancePromise).rejects.toMatchObject({
+    message: "1 critical plugin failed: broken (init): Broken plugin",
+    errors: [brokenError],
+  })
+}, 5000)
+
+it("should add and remove plugins at runtime", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    observer: class {
+
+      pluginAdded(pluginId) {
+        events.push(`added ${pluginId}`)
+      }
+
+      pluginRemoved(pluginId) {
+        events.push(`removed ${pluginId}`)
+      }
+
+    },
+  })
+  const {core} = testInstance
+  await core.addPlugin("extra", class {
+
+    init() {
+      events.push("init extra")
+    }
+
+    close() {
+      events.push("close extra")
+    }
+
+  })
+  await core.reloadPlugin("extra")
+  await core.removePlugin("extra")
+  expect(Object.keys(core.plugins)).toStrictEqual(["observer"])
+  expect(events).toStrictEqual(["init extra", "added extra", "close extra", "removed extra", "init extra", "added extra", "close extra", "removed extra"])
+  await testInstance.close()
+}, 5000)
+
+it("should validate config values", async () => {
+  const initPromise = JaidCore.createTestInstance({insecurePort: false}, {
+    main: class {
+
+      getConfigSetup() {
+        return {
+          defaults: {
+            retries: "many",
+            mode: "fast",
+          },
+          schema: {
+            retries: {type: "integer"},
+            mode: {enum: ["fast", "slow"]},
+          },
+        }
+      }
+
+    },
+  })
+  await expect(initPromise).rejects.toThrow(/retries \(plugin main, .+config\.yml\) must be of type integer/)
+}, 5000)
+
+it("should run interval jobs and wait for them on close", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    worker: class {
+
+      collectJobs() {
+        return {
+          tick: {
+            interval: 50,
+            handler: async (payload, run) => {
+              events.push(`start ${run.trigger}`)
+              await delay(120)
+              events.push("end")
+            },
+          },
+        }
+      }
+
+      close() {
+        events.push("close")
+      }
+
+    },
+  })
+  await delay(100)
+  await testInstance.close()
+  expect(events).toStrictEqual(["start interval", "end", "close"])
+}, 5000)
+
+it("should calculate the next runs of cron jobs", async () => {
+  const cronExpressions = {
+    quarterHours: "*/15 * * * *",
+    steppedRange: "5-10/2 * * * *",
+    twiceDaily: "0 9,17 * * *",
+    weekdays: "30 3 * * mon-fri",
+    sundays: "0 0 * * 7",
+    firstOrFriday: "0 12 1 * fri",
+    first: "0 12 1 * *",
+    leapDay: "0 0 29 feb *",
+    never: "0 0 31 2 *",
+    daily: "@daily",
+    hourly: "@hourly",
+  }
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    main: class {
+
+      collectJobs() {
+        const jobs = {}
+        for (const [name, cron] of Object.entries(cronExpressions)) {
+          jobs[name] = {
+            cron,
+            handler: () => {},
+          }
+        }
+        return jobs
+      }
+
+    },
+  })
+  const after = new Date(2024, 0, 15, 10, 7, 30)
+  const getNextDate = name => testInstance.core.jobScheduler.getJob(`main.${name}`).schedule.getNextDate(after)
+  expect(getNextDate("quarterHours")).toStrictEqual(new Date(2024, 0, 15, 10, 15))
+  expect(getNextDate("steppedRange")).toStrictEqual(new Date(2024, 0, 15, 10, 9))
+  expect(getNextDate("twiceDaily")).toStrictEqual(new Date(2024, 0, 15, 17, 0))
+  expect(getNextDate("weekdays")).toStrictEqual(new Date(2024, 0, 16, 3, 30))
+  expect(getNextDate("sundays")).toStrictEqual(new Date(2024, 0, 21, 0, 0))
+  expect(getNextDate("firstOrFriday")).toStrictEqual(new Date(2024, 0, 19, 12, 0))
+  expect(getNextDate("first")).toStrictEqual(new Date(2024, 1, 1, 12, 0))
+  expect(getNextDate("leapDay")).toStrictEqual(new Date(2024, 1, 29, 0, 0))
+  expect(getNextDate("never")).toBe(null)
+  expect(getNextDate("daily")).toStrictEqual(new Date(2024, 0, 16, 0, 0))
+  expect(getNextDate("hourly")).toStrictEqual(new Date(2024, 0, 15, 11, 0))
+  expect(testInstance.core.jobScheduler.getJob("main.daily").schedule.getNextDate(new Date(2024, 0, 15, 23, 59))).toStrictEqual(new Date(2024, 0, 16, 0, 0))
+  testInstance.assertLog("Cron expression 0 0 31 2 * of job main.never never matches", "warn")
+  await testInstance.close()
+  const invalidExpressions = {
+    "* * * *": "expected 5 fields, got 4",
+    "60 * * * *": "could not parse field \"60\"",
+    "*/0 * * * *": "could not parse field \"*/0\"",
+    "5-1 * * * *": "could not parse field \"5-1\"",
+    "0 0 * * funday": "could not parse field \"funday\"",
+  }
+  for (const [cron, message] of Object.entries(invalidExpressions)) {
+    const createPromise = JaidCore.createTestInstance({insecurePort: false}, {
+      main: class {
+
+        collectJobs() {
+          return {
+            broken: {
+              cron,
+              handler: () => {},
+            },
+          }
+        }
+
+      },
+    })
+    await expect(createPromise).rejects.toThrow(`Invalid cron expression "${cron}": ${message}`)
+  }
+}, 10_000)
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout
+  while (!await condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition was not met within ${timeout} ms`)
+    }
+    await delay(20)
+  }
+}
+
+it("should run queued jobs, retry them and move them to the dead letters", async () => {
+  const runs = []
+  let brokenFixed = false
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    sqlite: true,
+    jobQueue: true,
+    jobPollInterval: 20,
+  }, {
+    main: class {
+
+      collectJobs() {
+        return {
+          send: {
+            handler: (payload, run) => {
+              runs.push({
+                payload,
+                ...run,
+              })
+            },
+          },
+          flaky: {
+            maxAttempts: 3,
+            retryDelay: 100,
+            handler: (payload, run) => {
+              runs.push({
+                name: run.name,
+                attempt: run.attempt,
+                time: Date.now(),
+              })
+              if (run.attempt < 3) {
+                throw new Error(`Attempt ${run.attempt} failed`)
+              }
+            },
+          },
+          broken: {
+            maxAttempts: 2,
+            retryDelay: 10,
+            handler: (payload, run) => {
+              runs.push({
+                name: run.name,
+                attempt: run.attempt,
+              })
+              if (!brokenFixed) {
+                throw new Error("Job is broken")
+              }
+            },
+          },
+        }
+      }
+
+    },
+  })
+  const {core} = testInstance
+  const model = core.jobQueue.getModel()
+  await expect(core.enqueueJob("main.missing")).rejects.toThrow("Can not enqueue unknown job main.missing")
+  const sendId = await core.enqueueJob("main.send", {to: "a@example.com"})
+  await waitFor(() => runs.length === 1)
+  expect(runs[0]).toStrictEqual({
+    payload: {to: "a@example.com"},
+    name: "main.send",
+    trigger: "queue",
+    attempt: 1,
+    id: sendId,
+  })
+  await waitFor(async () => await model.count() === 0)
+  runs.length = 0
+  const flakyId = await core.enqueueJob("main.flaky")
+  await waitFor(async () => await model.count() === 0)
+  expect(runs.map(run => run.attempt)).toStrictEqual([1, 2, 3])
+  expect(runs[1].time - runs[0].time).toBeGreaterThanOrEqual(100)
+  expect(runs[2].time - runs[1].time).toBeGreaterThanOrEqual(200)
+  testInstance.assertLog(`Retrying job main.flaky #${flakyId} in 100ms (attempt 1 of 3 failed)`, "warn")
+  testInstance.assertLog(`Retrying job main.flaky #${flakyId} in 200ms (attempt 2 of 3 failed)`, "warn")
+  runs.length = 0
+  const brokenId = await core.enqueueJob("main.broken", {note: "retry me"})
+  await waitFor(async () => await model.count({where: {status: "dead"}}) === 1)
+  const [deadJob] = await core.jobQueue.getDeadJobs("main.broken")
+  expect(deadJob).toMatchObject({
+    id: brokenId,
+    attempts: 2,
+    payload: {note: "retry me"},
+  })
+  expect(deadJob.lastError).toMatch("Job is broken")
+  expect(runs).toStrictEqual([
+    {
+      name: "main.broken",
+      attempt: 1,
+    }, {
+      name: "main.broken",
+      attempt: 2,
+    },
+  ])
+  testInstance.assertLog(`Moved job main.broken #${brokenId} to the dead letters after 2 attempts`, "error")
+  expect(await core.jobQueue.getDeadJobs("main.send")).toStrictEqual([])
+  brokenFixed = true
+  expect(await core.jobQueue.retryDeadJob(brokenId)).toBe(true)
+  await waitFor(async () => await model.count() === 0)
+  expect(runs[2]).toStrictEqual({
+    name: "main.broken",
+    attempt: 1,
+  })
+  expect(await core.jobQueue.getDeadJobs()).toStrictEqual([])
+  expect(await core.jobQueue.retryDeadJob(brokenId)).toBe(false)
+  await testInstance.close()
+}, 15_000)
+
+it("should resume persisted queued jobs after a restart", async () => {
+  const databaseFolder = await fs.promises.mkdtemp(path.join(os.tmpdir(), "jaid-core-jobs-"))
+  const runs = []
+  const options = {
+    insecurePort: false,
+    sqlite: true,
+    database: path.join(databaseFolder, "jobs.sqlite"),
+    memoryDatabase: false,
+    jobQueue: true,
+    jobPollInterval: 20,
+    jobLockTimeout: 1000,
+  }
+  const plugins = {
+    main: class {
+
+      collectJobs() {
+        return {
+          send: {
+            handler: (payload, run) => {
+              runs.push({
+                payload,
+                attempt: run.attempt,
+              })
+            },
+          },
+        }
+      }
+
+    },
+  }
+  try {
+    const firstInstance = await JaidCore.createTestInstance(options, plugins)
+    await firstInstance.core.enqueueJob("main.send", "delayed", {delay: 500})
+    const interruptedId = await firstInstance.core.enqueueJob("main.send", "interrupted", {delay: 60_000})
+    await firstInstance.core.jobQueue.getModel().update({
+      status: "running",
+      attempts: 1,
+      lockedAt: new Date(Date.now() - 5000),
+      runAt: new Date(Date.now() - 5000),
+    }, {
+      where: {id: interruptedId},
+    })
+    await firstInstance.close()
+    expect(runs).toStrictEqual([])
+    const secondInstance = await JaidCore.createTestInstance(options, plugins)
+    secondInstance.assertLog("Requeued 1 interrupted job that did not finish", "warn")
+    await waitFor(() => runs.length === 2)
+    expect(runs).toStrictEqual([
+      {
+        payload: "interrupted",
+        attempt: 2,
+      }, {
+        payload: "delayed",
+        attempt: 1,
+      },
+    ])
+    await waitFor(async () => await secondInstance.core.jobQueue.getModel().count() === 0)
+    await secondInstance.close()
+  } finally {
+    await fs.promises.rm(databaseFolder, {
+      recursive: true,
+      force: true,
+    })
+  }
+}, 15_000)
+
+it("should tear down test instances", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    secretStore: true,
+  }, {
+    main: class extends JaidCorePlugin {
+
+      getConfigSetup() {
+        return {
+          defaults: {
+            retries: 3,
+            workerCount: 1,
+          },
+          schema: {
+            retries: {type: "integer"},
+          },
+          staticKeys: ["workerCount"],
+        }
+      }
+
+      handleConfigChange(config, changedKeys) {
+        events.push(`changed ${changedKeys.join(", ")}`)
+      }
+
+      ready() {
+        events.push("ready")
+        this.logger.warn("Plugin is ready")
+      }
+
+    },
+  })
+  expect(testInstance.request).toBe(null)
+  testInstance.assertLog("Plugin is ready", "warn")
+  testInstance.assertNoLog(/could not/i)
+  expect(() => testInstance.assertLog("Plugin is ready", "error")).toThrow("Expected a log line of level error matching Plugin is ready")
+  await testInstance.callHook("ready")
+  expect(await testInstance.changeConfig({
+    retries: "5",
+    workerCount: 2,
+  })).toStrictEqual(["retries"])
+  expect(events).toStrictEqual(["ready", "ready", "changed retries"])
+  expect(testInstance.core.config.retries).toBe(5)
+  expect(testInstance.core.config.workerCount).toBe(1)
+  testInstance.assertLog("1 config entry can only be changed with a restart, keeping the previous values: workerCount", "warn")
+  await expect(testInstance.changeConfig({retries: "many"})).rejects.toThrow(/retries .+ must be of type integer/)
+  await fs.promises.access(testInstance.folder)
+  await testInstance.close()
+  await expect(fs.promises.access(testInstance.folder)).rejects.toMatchObject({code: "ENOENT"})
+  let failedFolder = null
+  const failingInstancePromise = JaidCore.createTestInstance({insecurePort: false}, {
+    broken: class extends JaidCorePlugin {
+
+      init() {
+        failedFolder = path.dirname(this.core.appFolder)
+        throw new Error("Broken plugin")
+      }
+
+    },
+  })
+  await expect(failingInstancePromise).rejects.toThrow("Broken plugin")
+  expect(failedFolder).toBeTruthy()
+  await expect(fs.promises.access(failedFolder)).rejects.toMatchObject({code: "ENOENT"})
+}, 5000)
+
+it("should call hooks of test instances like the lifecycle phases", async () => {
+  const calls = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    extension: class {
+
+      dependencies = ["base"]
+
+      preClose() {
+        calls.push("extension")
+      }
+
+    },
+    base: class {
+
+      preClose() {
+        calls.push("base")
+      }
+
+      ready() {
+        calls.push("base ready")
+      }
+
+    },
+    flaky: class {
+
+      critical = false
+
+      handleEvent() {
+        throw new Error("Flaky event handler")
+      }
+
+    },
+    strict: class {
+
+      handleCheck() {
+        throw new Error("Strict check")
+      }
+
+    },
+  })
+  calls.length = 0
+  await testInstance.callHook("preClose")
+  await testInstance.callHook("ready")
+  expect(calls).toStrictEqual(["extension", "base", "base ready"])
+  await testInstance.callHook("handleEvent", "catAdopted")
+  expect(testInstance.core.plugins.flaky).toBeUndefined()
+  testInstance.assertLog("Removed plugin flaky", "error")
+  await expect(testInstance.callHook("handleCheck")).rejects.toThrow("1 critical plugin failed: strict (handleCheck): Strict check")
+  await testInstance.close()
+}, 5000)
+
+it("should serve HTTPS and watch changed TLS files", async () => {
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    securePort: true,
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/": async context => {
+        context.body = "secure"
+      },
+    },
+  }))
+  const response = await request("")
+  expect(response.body).toBe("secure")
+  const tlsFolder = path.join(core.appFolder, "tls")
+  expect(core.watchedTlsFiles).toStrictEqual([path.join(tlsFolder, "selfSigned.key"), path.join(tlsFolder, "selfSigned.crt")])
+  const keyPath = path.join(tlsFolder, "copied.key")
+  const certPath = path.join(tlsFolder, "copied.crt")
+  await fs.promises.copyFile(path.join(tlsFolder, "selfSigned.key"), keyPath)
+  await fs.promises.copyFile(path.join(tlsFolder, "selfSigned.crt"), certPath)
+  core.config.tlsKeyPath = keyPath
+  core.config.tlsCertPath = certPath
+  await core.reloadTls()
+  expect(core.watchedTlsFiles).toStrictEqual([keyPath, certPath])
+  testInstance.assertLog("Reloaded TLS certificate for secure server", "info")
+  await testInstance.close()
+  expect(core.watchedTlsFiles).toStrictEqual([])
+  const productionInstancePromise = JaidCore.createTestInstance({
+    insecurePort: false,
+    securePort: true,
+    selfSignedCertificate: false,
+  })
+  await expect(productionInstancePromise).rejects.toThrow("config.tlsKeyPath and config.tlsCertPath have to be set for the secure server")
+}, 10 * 1000)
+
+it("should drain running requests on close", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({
+    shutdownTimeout: 200,
+  }, {
+    main: class {
+
+      preClose() {
+        events.push("preClose")
+      }
+
+      close() {
+        events.push("close")
+      }
+
+    },
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/slow": async context => {
+        await delay(100)
+        context.body = "done"
+      },
+      "/stuck": async context => {
+        await delay(2000)
+        context.body = "too late"
+      },
+    },
+  }))
+  const slowResponsePromise = request("slow")
+  const stuckResponseExpectation = expect(request("stuck")).rejects.toThrow("socket hang up")
+  await delay(50)
+  await testInstance.close()
+  const slowResponse = await slowResponsePromise
+  expect(slowResponse.body).toBe("done")
+  await stuckResponseExpectation
+  expect(events).toStrictEqual(["preClose", "close"])
+  testInstance.assertLog("1 request still running after 200ms", "warn")
+}, 10 * 1000)
+
+it("should close servers and databases if a close hook fails", async () => {
+  const testInstance = await JaidCore.createTestInstance({sqlite: true}, {
+    main: class {
+
+      close() {
+        throw new Error("Could not close")
+      }
+
+    },
+  })
+  const {core} = testInstance
+  await expect(testInstance.close()).rejects.toThrow("1 critical plugin failed: main (close): Could not close")
+  expect(core.insecureServer.listening).toBe(false)
+  await expect(core.database.authenticate()).rejects.toThrow("connection manager was closed")
+  testInstance.assertLog("Closed database connection", "info")
+}, 10 * 1000)
+
+it("should apply and revert migrations", async () => {
+  process.env.JAID_CORE_MIGRATION_TEST_DATABASE_SCHEMA_SYNC = "migrate"
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    sqlite: true,
+    configEnvPrefix: "jaidCoreMigrationTest",
+  }, {
+    main: class {
+
+      collectMigrations() {
+        return [
+          {
+            id: "001-createCats",
+            up: (queryInterface, {transaction}) => queryInterface.createTable("Cats", {
+              id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true,
+              },
+              name: Sequelize.STRING,
+            }, {transaction}),
+            down: (queryInterface, {transaction}) => queryInterface.dropTable("Cats", {transaction}),
+          },
+          {
+            id: "002-addCatColor",
+            up: (queryInterface, {transaction}) => queryInterface.addColumn("Cats", "color", Sequelize.STRING, {transaction}),
+            down: (queryInterface, {transaction}) => queryInterface.removeColumn("Cats", "color", {transaction}),
+          },
+        ]
+      }
+
+    },
+  }).finally(() => {
+    delete process.env.JAID_CORE_MIGRATION_TEST_DATABASE_SCHEMA_SYNC
+  })
+  const queryInterface = testInstance.core.database.getQueryInterface()
+  testInstance.assertLog("Applying 2 pending migrations: 001-createCats, 002-addCatColor", "info")
+  expect(Object.keys(await queryInterface.describeTable("Cats"))).toStrictEqual(["id", "name", "color"])
+  expect(await testInstance.core.rollbackMigrations("001-createCats")).toStrictEqual(["002-addCatColor"])
+  expect(Object.keys(await queryInterface.describeTable("Cats"))).toStrictEqual(["id", "name"])
+  expect(await testInstance.core.rollbackMigrations(null)).toStrictEqual(["001-createCats"])
+  expect(await queryInterface.showAllTables()).not.toContain("Cats")
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should answer health, readiness and metrics requests", async () => {
+  let isCacheHealthy = true
+  const testInstance = await JaidCore.createTestInstance({
+    healthEndpoints: true,
+  }, {
+    main: class {
+
+      collectHealthChecks() {
+        return {
+          cache: async () => {
+            if (!isCacheHealthy) {
+              throw new Error("Cache is gone")
+            }
+          },
+        }
+      }
+
+    },
+  })
+  const {request} = testInstance
+  const healthResponse = await request("_health", {responseType: "json"})
+  expect(healthResponse.statusCode).toBe(200)
+  expect(healthResponse.body.status).toBe("ok")
+  const readyResponse = await request("_ready", {responseType: "json"})
+  expect(readyResponse.statusCode).toBe(200)
+  expect(readyResponse.body).toStrictEqual({
+    ready: true,
+    checks: {
+      "main.cache": {ok: true},
+    },
+  })
+  isCacheHealthy = false
+  const notReadyResponse = await request("_ready", {responseType: "json"})
+  expect(notReadyResponse.statusCode).toBe(503)
+  expect(notReadyResponse.body.checks["main.cache"]).toStrictEqual({
+    ok: false,
+    error: "Cache is gone",
+  })
+  const metricsResponse = await request("_metrics")
+  expect(metricsResponse.headers["content-type"]).toMatch(/^text\/plain/)
+  expect(metricsResponse.body).toContain("# TYPE http_requests_total counter")
+  expect(metricsResponse.body).toContain("http_requests_total{method=\"GET\",status=\"503\"} 1")
+  expect(metricsResponse.body).toContain("http_request_duration_seconds_count{method=\"GET\",status=\"200\"} 2")
+  expect(metricsResponse.body).toMatch(/^plugin_hook_duration_seconds_bucket{.*le="\+Inf"} \d+$/m)
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should report startup timings", async () => {
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    lifecycleReportLogLevel: "info",
+    lifecycleTrace: true,
+  }, {
+    main: class {
+
+      async init() {
+        await delay(50)
+      }
+
+    },
+  })
+  const {entries} = testInstance.core.lifecycleReport
+  const initEntry = entries.find(entry => entry.phase === "init" && entry.pluginId === "main")
+  expect(initEntry.duration).toBeGreaterThanOrEqual(45)
+  expect(entries.some(entry => entry.phase === "loadConfig" && entry.pluginId === null)).toBe(true)
+  testInstance.assertLog(/Startup timings:\nDuration +Phase +Plugin\n.+ +init +main/, "info")
+  const traceFolder = path.join(testInstance.core.logFolder, "trace")
+  const [traceFile] = await fs.promises.readdir(traceFolder)
+  testInstance.assertLog(`Wrote startup trace to ${path.join(traceFolder, traceFile)}`, "info")
+  const {traceEvents} = JSON.parse(await fs.promises.readFile(path.join(traceFolder, traceFile), "utf8"))
+  const mainThread = traceEvents.find(event => event.ph === "M" && event.args.name === "main")
+  expect(traceEvents).toContainEqual(expect.objectContaining({
+    name: "init",
+    cat: "plugin",
+    ph: "X",
+    tid: mainThread.tid,
+  }))
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should detach everything of removed failing plugins", async () => {
+  const testInstance = await JaidCore.createTestInstance({}, {
+    flaky: class extends JaidCorePlugin {
+
+      critical = false
+
+      init() {
+        this.core.provide("flakyService", {}, "flaky")
+      }
+
+      collectRoutes() {
+        return [
+          {
+            method: "GET",
+            path: "/flaky",
+            handler: context => {
+              context.body = "flaky"
+            },
+          },
+        ]
+      }
+
+      collectJobs() {
+        return {
+          tick: {
+            interval: 60_000,
+            handler: () => {},
+          },
+        }
+      }
+
+      ready() {
+        throw new Error("Flaky plugin")
+      }
+
+    },
+    dependent: class {
+
+      critical = false
+
+      dependencies = ["flaky"]
+
+      collectRoutes() {
+        return [
+          {
+            method: "GET",
+            path: "/dependent",
+            handler: context => {
+              context.body = "dependent"
+            },
+          },
+        ]
+      }
+
+    },
+    stable: class {
+
+    },
+  })
+  const {core, request} = testInstance
+  expect(Object.keys(core.plugins)).toStrictEqual(["stable"])
+  expect(core.pluginFailures.map(({pluginId}) => pluginId)).toStrictEqual(["flaky", "dependent"])
+  expect(core.router.routes).toStrictEqual([])
+  expect([...core.jobScheduler.jobs.keys()]).toStrictEqual([])
+  expect(core.services.getUnresolvedNames()).toStrictEqual([])
+  expect(core.services.services.has("flakyService")).toBe(false)
+  const response = await request("flaky")
+  expect(response.statusCode).toBe(404)
+  testInstance.assertLog("Removed plugin flaky, because it failed in ready: Error: Flaky plugin", "error")
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should not close plugins that other plugins depend on", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    base: class {
+
+      close() {
+        events.push("close base")
+      }
+
+    },
+    extension: class {
+
+    },
+  })
+  const {core} = testInstance
+  core.plugins.extension.dependencies = ["base"]
+  await expect(core.removePlugin("base")).rejects.toThrow("Plugin base can not be removed, because it is required by: extension")
+  expect(events).toStrictEqual([])
+  expect(Object.keys(core.plugins)).toStrictEqual(["base", "extension"])
+  await testInstance.close()
+  expect(events).toStrictEqual(["close base"])
+}, 10 * 1000)
+
+it("should provide services after init and deliver events", async () => {
+  const events = []
+  const testInstance = await JaidCore.createTestInstance({insecurePort: false}, {
+    consumer: class extends JaidCorePlugin {
+
+      async init() {
+        const mailer = await this.core.use("mailer")
+        events.push(`used ${mailer.name}`)
+      }
+
+    },
+    provider: class extends JaidCorePlugin {
+
+      async init() {
+        await this.core.provide("mailer", {name: "mailer"}, "provider")
+        events.push("provided")
+        await delay(100)
+        events.push("provider initialized")
+      }
+
+    },
+    listener: class {
+
+      handleEvent(eventName, payload) {
+        if (eventName === "serviceProvided") {
+          throw new Error(`Could not handle ${payload.serviceName}`)
+        }
+        events.push(`handled ${eventName}`)
+      }
+
+    },
+  })
+  const {core} = testInstance
+  expect(events).toStrictEqual(["provided", "provider initialized", "used mailer"])
+  testInstance.assertLog("Handling serviceProvided for service mailer failed: AggregateError: 1 critical plugin failed: listener (handleEvent): Could not handle mailer", "error")
+  const payloadPromise = core.events.waitFor("catAdopted", 1000)
+  const removeListener = core.events.on("catAdopted", payload => {
+    events.push(`adopted ${payload.name}`)
+  })
+  await core.events.emit("catAdopted", {name: "Mia"})
+  removeListener()
+  await core.events.emit("catAdopted", {name: "Aki"})
+  expect(await payloadPromise).toStrictEqual({name: "Mia"})
+  expect(events.slice(3)).toStrictEqual(["adopted Mia", "handled catAdopted", "handled catAdopted"])
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should override config with environment variables and CLI arguments", async () => {
+  const secretFolder = await fs.promises.mkdtemp(path.join(os.tmpdir(), "jaid-core-test-"))
+  const tokenFile = path.join(secretFolder, "apiToken")
+  await fs.promises.writeFile(tokenFile, "s3cr3t-token\n")
+  process.env.JAID_CORE_OVERRIDE_TEST_RETRIES = "7"
+  process.env.JAID_CORE_OVERRIDE_TEST_MODE = "fast"
+  process.env.JAID_CORE_OVERRIDE_TEST_API_TOKEN_FILE = tokenFile
+  const originalArgv = process.argv
+  process.argv = [...originalArgv, "--config.mode=slow", "--config.unknownEntry=1"]
+  let receivedConfig = null
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    configEnvPrefix: "jaidCoreOverrideTest",
+    configArguments: true,
+  }, {
+    main: class {
+
+      getConfigSetup() {
+        return {
+          defaults: {
+            retries: 3,
+            mode: "normal",
+          },
+          secretKeys: ["apiToken"],
+          schema: {
+            retries: {type: "integer"},
+          },
+        }
+      }
+
+      handleConfig(config) {
+        receivedConfig = config
+      }
+
+    },
+  }).finally(async () => {
+    process.argv = originalArgv
+    delete process.env.JAID_CORE_OVERRIDE_TEST_RETRIES
+    delete process.env.JAID_CORE_OVERRIDE_TEST_MODE
+    delete process.env.JAID_CORE_OVERRIDE_TEST_API_TOKEN_FILE
+    await fs.promises.rm(secretFolder, {
+      recursive: true,
+      force: true,
+    })
+  })
+  expect(receivedConfig.retries).toBe(7)
+  expect(receivedConfig.mode).toBe("slow")
+  expect(receivedConfig.apiToken).toBe("s3cr3t-token")
+  testInstance.assertLog(`apiToken=[redacted] (file ${tokenFile} from env JAID_CORE_OVERRIDE_TEST_API_TOKEN_FILE)`, "info")
+  testInstance.assertLog("mode=slow (argument --config.mode)", "info")
+  testInstance.assertLog("Ignored 1 CLI argument for unknown config entries: --config.unknownEntry", "warn")
+  testInstance.assertNoLog("s3cr3t-token")
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should reload changed config files", async () => {
+  const changes = []
+  const testInstance = await JaidCore.createTestInstance({}, {
+    main: class {
+
+      getConfigSetup() {
+        return {
+          defaults: {
+            greeting: "hello",
+            retries: 3,
+          },
+          schema: {
+            retries: {type: "integer"},
+          },
+        }
+      }
+
+      handleConfigChange(config, changedKeys) {
+        changes.push(`${changedKeys.join(", ")}: ${config.greeting}`)
+      }
+
+    },
+  })
+  const {core} = testInstance
+  const configFile = path.join(core.configFolder, "config.yml")
+  const changeConfigFile = async (key, value) => {
+    const text = await fs.promises.readFile(configFile, "utf8")
+    await fs.promises.writeFile(configFile, text.replace(new RegExp(`^${key}: .*$`, "m"), `${key}: ${value}`))
+  }
+  const {insecurePort} = core.config
+  await changeConfigFile("greeting", "hi")
+  await changeConfigFile("insecurePort", insecurePort + 1)
+  expect(await core.reloadConfig()).toStrictEqual(["greeting"])
+  expect(core.config.greeting).toBe("hi")
+  expect(core.config.insecurePort).toBe(insecurePort)
+  testInstance.assertLog("1 config entry can only be changed with a restart, keeping the previous values: insecurePort", "warn")
+  await changeConfigFile("greeting", "hey")
+  await changeConfigFile("retries", "many")
+  expect(await core.reloadConfig()).toStrictEqual([])
+  expect(core.config.greeting).toBe("hi")
+  testInstance.assertLog("Could not reload config, keeping the previous one", "error")
+  testInstance.assertLog("must be of type integer, but is \"many\"", "error")
+  expect(changes).toStrictEqual(["greeting: hi"])
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should keep secrets encrypted and rotate koaKeys", async () => {
+  const testInstance = await JaidCore.createTestInstance({
+    secretStore: true,
+    koaSession: true,
+  }, {
+    main: class {
+
+      getConfigSetup() {
+        return {
+          secretKeys: ["apiToken"],
+        }
+      }
+
+    },
+  })
+  const {core} = testInstance
+  testInstance.assertLog("better provide the master key with the core option secretStoreKeyFile, because environment variables are disabled", "warn")
+  const [initialKey] = core.config.koaKeys
+  expect(initialKey.length).toBeGreaterThanOrEqual(32)
+  expect(core.koa.keys).toStrictEqual([initialKey])
+  await core.secrets.set("apiToken", "s3cr3t-token")
+  expect(core.config.apiToken).toBe("s3cr3t-token")
+  core.logger.info("Token is %s", core.secrets.get("apiToken"))
+  testInstance.assertLog("Token is [redacted]", "info")
+  const rotatedKey = await core.secrets.rotate("koaKeys", 2)
+  expect(core.config.koaKeys).toStrictEqual([rotatedKey, initialKey])
+  expect(core.koa.keys).toStrictEqual([rotatedKey, initialKey])
+  await core.secrets.rotate("koaKeys", 2)
+  expect(core.config.koaKeys).toHaveLength(2)
+  expect(core.config.koaKeys).not.toContain(initialKey)
+  const storeText = await fs.promises.readFile(path.join(core.appFolder, "secrets.enc.json"), "utf8")
+  expect(storeText).not.toContain("s3cr3t-token")
+  expect(storeText).not.toContain(rotatedKey)
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should keep sessions in the database", async () => {
+  const testInstance = await JaidCore.createTestInstance({
+    sqlite: true,
+    secretStore: true,
+    koaSession: {store: "database"},
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/count": async context => {
+        context.session.count = (context.session.count ?? 0) + 1
+        context.body = String(context.session.count)
+      },
+    },
+  }))
+  const firstResponse = await request("count")
+  expect(firstResponse.body).toBe("1")
+  const setCookieHeaders = firstResponse.headers["set-cookie"]
+  expect(setCookieHeaders.join("\n")).toMatch(/samesite=lax/i)
+  const cookie = setCookieHeaders.map(header => header.split(";")[0]).join("; ")
+  const secondResponse = await request("count", {headers: {cookie}})
+  expect(secondResponse.body).toBe("2")
+  const sessions = await core.database.models.JaidCoreSession.findAll()
+  expect(sessions).toHaveLength(1)
+  const forgedCookie = cookie.replace(/koa\.sess\.sig=[^;]+/, "koa.sess.sig=forged")
+  const forgedResponse = await request("count", {headers: {cookie: forgedCookie}})
+  expect(forgedResponse.body).toBe("1")
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should share the session of the handshake with sockets", async () => {
+  const handshakeSessions = []
+  const connectedUserIds = []
+  const testInstance = await JaidCore.createTestInstance({
+    secretStore: true,
+    koaSession: true,
+    sockets: true,
+  }, {
+    chat: class {
+
+      handleSockets(socketServer) {
+        socketServer.use((socket, next) => {
+          handshakeSessions.push(socket.request.session)
+          next(socket.request.session?.userId ? undefined : new Error("Not logged in"))
+        })
+        socketServer.on("connection", socket => {
+          connectedUserIds.push(socket.request.session.userId)
+        })
+      }
+
+    },
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/login": async context => {
+        context.session.userId = 7
+        context.body = "Logged in"
+      },
+    },
+  }))
+  const connect = headers => new Promise((resolve, reject) => {
+    const socketClient = ioClient(`http://localhost:${core.config.insecurePort}`, {
+      extraHeaders: headers,
+      reconnection: false,
+    })
+    socketClient.on("connect", () => resolve(socketClient))
+    socketClient.on("connect_error", error => {
+      socketClient.close()
+      reject(error)
+    })
+  })
+  await expect(connect({})).rejects.toThrow("Not logged in")
+  const loginResponse = await request("login")
+  const cookie = loginResponse.headers["set-cookie"].map(header => header.split(";")[0]).join("; ")
+  await expect(connect({cookie: cookie.replace(/koa\.sess\.sig=[^;]+/, "koa.sess.sig=forged")})).rejects.toThrow("Not logged in")
+  const socketClient = await connect({cookie})
+  expect(handshakeSessions).toStrictEqual([{}, {}, {userId: 7}])
+  expect(connectedUserIds).toStrictEqual([7])
+  socketClient.close()
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should route requests and validate them", async () => {
+  const testInstance = await JaidCore.createTestInstance({}, {
+    users: class {
+
+      routePrefix = "/api"
+
+      collectRoutes() {
+        return [
+          {
+            method: "GET",
+            path: "/users/me",
+            handler: context => {
+              context.body = "me"
+            },
+          },
+          {
+            method: "POST",
+            path: "/users/:id",
+            schema: {
+              params: {id: {type: "integer"}},
+              body: {name: {type: "string"}},
+            },
+            handler: context => {
+              context.body = {
+                id: context.params.id,
+                name: context.request.body.name,
+              }
+            },
+          },
+        ]
+      }
+
+    },
+  })
+  const {request} = testInstance
+  const meResponse = await request("api/users/me")
+  expect(meResponse.body).toBe("me")
+  const updateResponse = await request.post("api/users/5", {
+    json: {name: "Mia"},
+    responseType: "json",
+  })
+  expect(updateResponse.body).toStrictEqual({
+    id: 5,
+    name: "Mia",
+  })
+  const invalidResponse = await request.post("api/users/five", {
+    json: {name: "Mia"},
+    responseType: "json",
+  })
+  expect(invalidResponse.statusCode).toBe(400)
+  expect(invalidResponse.headers["content-type"]).toMatch(/^application\/problem\+json/)
+  expect(invalidResponse.body.errors).toContainEqual(expect.objectContaining({
+    location: "params",
+    key: "id",
+  }))
+  const wrongMethodResponse = await request.delete("api/users/5")
+  expect(wrongMethodResponse.statusCode).toBe(405)
+  await testInstance.close()
+  const conflictingInstancePromise = JaidCore.createTestInstance({}, {
+    cats: class {
+
+      collectRoutes() {
+        return [
+          {
+            method: "GET",
+            path: "/cats",
+            handler: context => {
+              context.body = "cats"
+            },
+          },
+        ]
+      }
+
+    },
+    moreCats: class {
+
+      collectRoutes() {
+        return [
+          {
+            method: "GET",
+            path: "/cats",
+            handler: context => {
+              context.body = "cats"
+            },
+          },
+        ]
+      }
+
+    },
+  })
+  await expect(conflictingInstancePromise).rejects.toThrow(/GET \/cats/)
+}, 10 * 1000)
+
+it("should respond to errors with problem details", async () => {
+  class QuotaError extends Error {}
+  const handledErrors = []
+  const testInstance = await JaidCore.createTestInstance({errorStacks: false}, {
+    main: class {
+
+      handleRequestError(error, context, problem) {
+        handledErrors.push(error.message)
+        problem.plugin = "main"
+      }
+
+    },
+  })
+  const {core, request} = testInstance
+  core.registerErrorClass(QuotaError, {
+    status: 429,
+    title: "Quota exceeded",
+    expose: true,
+  })
+  core.koa.use(router({
+    get: {
+      "/missing": async () => {
+        throw new HttpError(404, "User not found", {
+          type: "https://example.com/problems/unknown-user",
+          status: 200,
+          title: "OK",
+        })
+      },
+      "/quota": async () => {
+        throw new QuotaError("Only 5 requests per minute")
+      },
+      "/broken": async () => {
+        throw new Error("Internal database details")
+      },
+    },
+  }))
+  const missingResponse = await request("missing", {responseType: "json"})
+  expect(missingResponse.statusCode).toBe(404)
+  expect(missingResponse.headers["content-type"]).toMatch(/^application\/problem\+json/)
+  expect(missingResponse.body).toMatchObject({
+    type: "https://example.com/problems/unknown-user",
+    title: "Not Found",
+    status: 404,
+    detail: "User not found",
+    requestId: missingResponse.headers["x-request-id"],
+    plugin: "main",
+  })
+  const quotaResponse = await request("quota", {responseType: "json"})
+  expect(quotaResponse.statusCode).toBe(429)
+  expect(quotaResponse.body).toMatchObject({
+    title: "Quota exceeded",
+    detail: "Only 5 requests per minute",
+  })
+  const brokenResponse = await request("broken", {responseType: "json"})
+  expect(brokenResponse.statusCode).toBe(500)
+  expect(JSON.stringify(brokenResponse.body)).not.toContain("Internal database details")
+  expect(handledErrors).toStrictEqual(["User not found", "Only 5 requests per minute", "Internal database details"])
+  testInstance.assertLog("Internal database details", "error")
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should propagate request ids to logs and got requests", async () => {
+  const testInstance = await JaidCore.createTestInstance({useGot: true})
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/echo": async context => {
+        context.body = context.get("X-Request-Id")
+      },
+      "/outer": async context => {
+        core.addRequestContext({userId: 3})
+        core.logger.info("Logged in")
+        const forwardedRequestId = await core.got(`http://localhost:${core.config.insecurePort}/echo`).text()
+        context.body = {
+          forwardedRequestId,
+          requestContext: core.getRequestContext(),
+        }
+      },
+    },
+  }))
+  const response = await request("outer", {
+    headers: {"X-Request-Id": "test-request-1"},
+    responseType: "json",
+  })
+  expect(response.headers["x-request-id"]).toBe("test-request-1")
+  expect(response.body).toStrictEqual({
+    forwardedRequestId: "test-request-1",
+    requestContext: {
+      requestId: "test-request-1",
+      userId: 3,
+    },
+  })
+  testInstance.assertLog("[requestId=test-request-1 userId=3] Logged in", "info")
+  const invalidIdResponse = await request("echo", {headers: {"X-Request-Id": "not valid!"}})
+  expect(invalidIdResponse.headers["x-request-id"]).toMatch(/^[\da-f-]{36}$/)
+  expect(core.getRequestContext()).toBe(undefined)
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should retry failed requests and open the circuit breaker", async () => {
+  let failingHits = 0
+  const testInstance = await JaidCore.createTestInstance({
+    useGot: true,
+    healthEndpoints: true,
+  }, {
+    main: class extends JaidCorePlugin {
+
+      handleGot() {
+        this.core.registerHttpClient("flaky", {
+          baseUrl: `http://localhost:${this.core.config.insecurePort}`,
+          policy: {
+            retries: 2,
+            retryDelay: 10,
+            breakerThreshold: 3,
+            breakerResetTimeout: 60_000,
+          },
+        })
+      }
+
+    },
+  })
+  const {core, request} = testInstance
+  core.koa.use(router({
+    get: {
+      "/failing": async context => {
+        failingHits++
+        context.status = 503
+      },
+    },
+  }))
+  const client = core.getHttpClient("flaky")
+  await expect(client("failing")).rejects.toThrow("503")
+  expect(failingHits).toBe(3)
+  await expect(client("failing")).rejects.toMatchObject({code: "ECIRCUITOPEN"})
+  expect(failingHits).toBe(3)
+  const readyResponse = await request("_ready", {responseType: "json"})
+  expect(readyResponse.statusCode).toBe(503)
+  expect(readyResponse.body.checks.httpCircuits.ok).toBe(false)
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should cache got responses", async () => {
+  let cachedHits = 0
+  const testInstance = await JaidCore.createTestInstance({
+    useGot: true,
+    gotCache: true,
+  })
+  const {core} = testInstance
+  core.koa.use(router({
+    get: {
+      "/cached": async context => {
+        cachedHits++
+        context.set("Cache-Control", "max-age=60")
+        context.body = {cachedHits}
+      },
+    },
+  }))
+  const url = `http://localhost:${core.config.insecurePort}/cached`
+  const firstResponse = await core.got(url, {responseType: "json"})
+  expect(firstResponse.isFromCache).toBe(false)
+  const secondResponse = await core.got(url, {responseType: "json"})
+  expect(secondResponse.isFromCache).toBe(true)
+  expect(secondResponse.body).toStrictEqual({cachedHits: 1})
+  testInstance.assertLog("(cached)")
+  const uncachedResponse = await core.got(url, {
+    responseType: "json",
+    cache: false,
+  })
+  expect(uncachedResponse.body).toStrictEqual({cachedHits: 2})
+  await testInstance.close()
+}, 10 * 1000)
+
+it("should record and replay got responses", async () => {
+  const fixturesFolder = await fs.promises.mkdtemp(path.join(os.tmpdir(), "jaid-core-test-"))
+  let recordedHits = 0
+  const recordingInstance = await JaidCore.createTestInstance({
+    useGot: true,
+    gotMode: "record",
+    gotFixtures: {folder: fixturesFolder},
+  })
+  recordingInstance.core.koa.use(router({
+    get: {
+      "/counter": async context => {
+        recordedHits++
+        context.body = {recordedHits}
+      },
+    },
+  }))
+  const url = `http://localhost:${recordingInstance.core.config.insecurePort}/counter`
+  const recordOptions = {
+    responseType: "json",
+    headers: {authorization: "Bearer s3cr3t-token"},
+  }
+  await recordingInstance.core.got(url, recordOptions)
+  await recordingInstance.core.got(url, recordOptions)
+  await recordingInstance.close()
+  const fixtureFiles = await fs.promises.readdir(fixturesFolder)
+  expect(fixtureFiles).toHaveLength(1)
+  const fixtureText = await fs.promises.readFile(path.join(fixturesFolder, fixtureFiles[0]), "utf8")
+  expect(fixtureText).not.toContain("s3cr3t-token")
+  const replayingInstance = await JaidCore.createTestInstance({
+    useGot: true,
+    gotMode: "replay",
+    gotFixtures: {folder: fixturesFolder},
+  })
+  const replayedBodies = []
+  for (let i = 0; i < 3; i++) {
+    const response = await replayingInstance.core.got(url, {responseType: "json"})
+    replayedBodies.push(response.body)
+  }
+  expect(replayedBodies).toStrictEqual([{recordedHits: 1}, {recordedHits: 2}, {recordedHits: 2}])
+  expect(recordedHits).toBe(2)
+  await expect(replayingInstance.core.got(`${url}/missing`)).rejects.toMatchObject({code: "ENOFIXTURE"})
+  await replayingInstance.close()
+  await fs.promises.rm(fixturesFolder, {
+    recursive: true,
+    force: true,
+  })
+}, 10 * 1000)
+
+const createNoteDefinition = () => ({
+  default: class extends Sequelize.Model {},
+  schema: {text: Sequelize.STRING},
+  connection: "cache",
+})
+
+it("should register models on named database connections", async () => {
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    sqlite: true,
+    databases: {cache: {sqlite: true}},
+  }, {
+    main: class {
+
+      collectModels() {
+        return {
+          Note: createNoteDefinition(),
+        }
+      }
+
+    },
+  })
+  const {core} = testInstance
+  expect(core.getDatabase("cache").models.Note).toBeDefined()
+  expect(core.getDatabase("default").models.Note).toBeUndefined()
+  expect(core.config).toHaveProperty("cacheDatabaseSchemaSync", "sync")
+  await core.getDatabase("cache").models.Note.create({text: "Feed the cats"})
+  expect(await core.getDatabase("cache").models.Note.count()).toBe(1)
+  expect(() => core.getDatabase("replica")).toThrow("Unknown database connection replica")
+  await testInstance.close()
+  const migratingInstancePromise = JaidCore.createTestInstance({
+    insecurePort: false,
+    sqlite: true,
+    databases: {cache: {sqlite: true}},
+  }, {
+    main: class {
+
+      collectModels() {
+        return {
+          Note: createNoteDefinition(),
+        }
+      }
+
+      collectMigrations() {
+        return [
+          {
+            id: "001-addNoteColor",
+            up: (queryInterface, {transaction}) => queryInterface.addColumn("Notes", "color", Sequelize.STRING, {transaction}),
+          },
+        ]
+      }
+
+    },
+  })
+  await expect(migratingInstancePromise).rejects.toThrow("Plugin main provided migrations, but its models Note are registered on named connections")
+}, 10 * 1000)
+
+const createCatDefinition = () => ({
+  default: class extends Sequelize.Model {},
+  schema: {
+    id: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+    },
+    name: Sequelize.STRING,
+  },
+})
+
+it("should apply seeds and load fixtures", async () => {
+  const fixturesFolder = await fs.promises.mkdtemp(path.join(os.tmpdir(), "jaid-core-test-"))
+  await fs.promises.writeFile(path.join(fixturesFolder, "1-cats.yml"), "Cat:\n  - id: 2\n    name: Garfield\n")
+  await fs.promises.writeFile(path.join(fixturesFolder, "2-cats.json"), JSON.stringify({
+    Cat: [
+      {
+        id: 2,
+        name: "Garfield Jr.",
+      }, {
+        id: 3,
+        name: "Nermal",
+      },
+    ],
+  }))
+  await fs.promises.writeFile(path.join(fixturesFolder, "notes.txt"), "Ignored")
+  const seededPlugin = class {
+
+    collectModels() {
+      return {
+        Cat: createCatDefinition(),
+      }
+    }
+
+    collectSeeds() {
+      return {
+        Cat: [
+          {
+            id: 1,
+            name: "Tom",
+          },
+        ],
+      }
+    }
+
+  }
+  const testInstance = await JaidCore.createTestInstance({
+    insecurePort: false,
+    fixtures: fixturesFolder,
+  }, {main: seededPlugin})
+  const {Cat} = testInstance.core.database.models
+  const cats = await Cat.findAll({
+    order: [["id", "ASC"]],
+    raw: true,
+  })
+  expect(cats.map(({name}) => name)).toStrictEqual(["Tom", "Garfield Jr.", "Nermal"])
+  testInstance.assertLog("Applying 1 seed: main.Cat", "info")
+  testInstance.assertLog(`Loaded 1 fixture row from ${path.join(fixturesFolder, "1-cats.yml")}`, "info")
+  testInstance.assertLog(`Loaded 2 fixture rows from ${path.join(fixturesFolder, "2-cats.json")}`, "info")
+  await testInstance.close()
+  const invalidFixtureFile = path.join(fixturesFolder, "invalid.yml")
+  await fs.promises.writeFile(invalidFixtureFile, "Cat:\n  id: 4\n")
+  const invalidInstancePromise = JaidCore.createTestInstance({
+    insecurePort: false,
+    fixtures: invalidFixtureFile,
+  }, {main: seededPlugin})
+  await expect(invalidInstancePromise).rejects.toThrow(`Fixture file ${invalidFixtureFile} has to contain an array of rows for model Cat`)
+  await fs.promises.rm(fixturesFolder, {
+    recursive: true,
+    force: true,
+  })
+}, 10 * 1000)
\ No newline at end of file
@@ -1,5 +1,16 @@
+import webpack from "webpack"
 import configure from "webpack-config-jaid"
 
 export default configure({
   documentation: {babel: true},
+  extra: {
+    plugins: [
+      new webpack.BannerPlugin({
+        // Output is an ES module, webpack compiles __non_webpack_require__ to a require that does not exist there
+        banner: "import {createRequire as __createRequire} from \"node:module\"; const require = __createRequire(import.meta.url);",
+        raw: true,
+        entryOnly: true,
+      }),
+    ],
+  },
 })
\ No newline at end of file